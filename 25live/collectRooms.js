@@ -0,0 +1,80 @@
+// collectRooms.js
+//
+// Fill the room registry (25live/definitions/rooms.json) from the spaces the
+// scrape has stored: every 25Live space id seen in the events table is
+// attached to its room, and spaces the registry does not list yet are added
+// for someone to survey (building, floor, and capacity where 25Live gives
+// none). Run with --dry-run to see the changes without writing the file.
+//
+//   node 25live/collectRooms.js [--dry-run]
+const fs = require("fs");
+const config = require("../config");
+const { createStorage } = require("../storage");
+const { EVENTS_TABLE } = require("./syncEvents");
+const { collectSpaces } = require("./utils/roomRegistry");
+const { hasRecordingResource } = require("./utils/createRecordingTasks");
+
+/**
+ * Merge the spaces of every stored event into the registry file.
+ * @param {Object} storage - Storage backend from createStorage()
+ * @param {Object} [options]
+ * @param {string} [options.file] - Defaults to config.rooms.registryFile
+ * @param {boolean} [options.dryRun]
+ * @returns {Promise<{ added: number, updated: number }>}
+ */
+async function collectRooms(
+  storage,
+  { file = config.rooms.registryFile, dryRun = false } = {}
+) {
+  const registryFile = JSON.parse(fs.readFileSync(file, "utf8"));
+  const events = await storage.select(EVENTS_TABLE);
+  const { rooms, added, updated } = collectSpaces(
+    registryFile.rooms,
+    events,
+    (event) => hasRecordingResource(event)
+  );
+
+  console.log(
+    `${events.length} stored events: ${added.length} new spaces, ${updated.length} rooms updated`
+  );
+  added.forEach((room) =>
+    console.log(
+      `  + ${room.code} (space ${room.spaceIds.join(", ")}: ${room.spaceNames.join(
+        ", "
+      )})`
+    )
+  );
+  updated.forEach((room) => console.log(`  ~ ${room.code}`));
+
+  if (!dryRun && (added.length > 0 || updated.length > 0)) {
+    fs.writeFileSync(
+      file,
+      `${JSON.stringify({ ...registryFile, rooms }, null, 2)}\n`
+    );
+    console.log(`Wrote ${file}`);
+  }
+
+  return { added: added.length, updated: updated.length };
+}
+
+async function main() {
+  try {
+    config.validate({ requireNorthwestern: false });
+    const storage = createStorage();
+    console.log(`Using storage backend: ${storage.name}`);
+    await collectRooms(storage, {
+      dryRun: process.argv.includes("--dry-run"),
+    });
+  } catch (error) {
+    console.error("Error collecting rooms:", error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  collectRooms,
+};
@@ -0,0 +1,141 @@
+// eventHistory.js
+const config = require("../config");
+const { createStorage } = require("../storage");
+const { ACTIVE, CANCELLED } = require("./syncPlan");
+
+const EVENT_CHANGES_TABLE = "event_changes";
+
+/**
+ * Turn an applied sync plan into change records: one per changed column of
+ * every updated (or restored) event, plus the status change of every event
+ * that was cancelled because it left 25Live.
+ * @param {Object} plan - Result of planEventSync
+ * @param {string} scrapedAt - ISO timestamp of the scrape that saw the change
+ * @param {Object} [options]
+ * @param {boolean} [options.includeCancellations] - False when cancellations were held back
+ * @returns {Array<Object>}
+ */
+function buildChangeRecords(
+  plan,
+  scrapedAt,
+  { includeCancellations = true } = {}
+) {
+  const records = plan.updates.flatMap(({ id, changes }) =>
+    changes.map(({ field, from, to }) => ({
+      event_id: id,
+      field,
+      old_value: from,
+      new_value: to,
+      scraped_at: scrapedAt,
+    }))
+  );
+
+  if (includeCancellations) {
+    plan.cancellations.forEach((row) => {
+      records.push({
+        event_id: row.id,
+        field: "status",
+        old_value: row.status ?? ACTIVE,
+        new_value: CANCELLED,
+        scraped_at: scrapedAt,
+      });
+    });
+  }
+
+  return records;
+}
+
+/**
+ * Append change records to the event_changes store.
+ * @param {Object} storage - Storage backend from createStorage()
+ * @param {Array<Object>} records - Result of buildChangeRecords
+ */
+async function recordEventChanges(storage, records) {
+  if (records.length === 0) {
+    return;
+  }
+  await storage.insert(EVENT_CHANGES_TABLE, records);
+  console.log(`Recorded ${records.length} event changes`);
+}
+
+/**
+ * Every recorded change for one event, oldest first.
+ * @param {Object} storage - Storage backend from createStorage()
+ * @param {*} eventId
+ * @returns {Promise<Array<Object>>}
+ */
+async function getEventHistory(storage, eventId) {
+  const records = await storage.select(EVENT_CHANGES_TABLE, {
+    event_id: eventId,
+  });
+  return records.sort((a, b) =>
+    String(a.scraped_at).localeCompare(String(b.scraped_at))
+  );
+}
+
+/**
+ * Accept either a current event id or a pre-migration numeric id, which is
+ * translated through the event_id_map written by the event id remap
+ * (20261019001500_remap_event_ids.sql, or remapEventIds.js locally).
+ * @param {Object} storage
+ * @param {string} eventIdArg
+ * @returns {Promise<string>}
+ */
+async function resolveEventId(storage, eventIdArg) {
+  if (!/^\d+$/.test(eventIdArg)) {
+    return eventIdArg;
+  }
+  const [mapping] = await storage.select("event_id_map", {
+    old_id: eventIdArg,
+  });
+  if (mapping) {
+    console.log(`Legacy id ${eventIdArg} is now ${mapping.new_id}`);
+    return mapping.new_id;
+  }
+  return eventIdArg;
+}
+
+function formatEventHistory(eventId, records) {
+  if (records.length === 0) {
+    return `No recorded changes for event ${eventId}`;
+  }
+  return [
+    `Change history for event ${eventId}:`,
+    ...records.map(
+      (record) =>
+        `  ${record.scraped_at}  ${record.field}: ${JSON.stringify(
+          record.old_value
+        )} -> ${JSON.stringify(record.new_value)}`
+    ),
+  ].join("\n");
+}
+
+async function main() {
+  const [eventIdArg] = process.argv.slice(2);
+  if (!eventIdArg) {
+    console.error("Usage: node 25live/eventHistory.js <event id>");
+    process.exit(1);
+  }
+
+  try {
+    config.validate({ requireNorthwestern: false });
+    const storage = createStorage();
+    const eventId = await resolveEventId(storage, eventIdArg);
+    const records = await getEventHistory(storage, eventId);
+    console.log(formatEventHistory(eventId, records));
+  } catch (error) {
+    console.error("Error reading event history:", error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  EVENT_CHANGES_TABLE,
+  buildChangeRecords,
+  recordEventChanges,
+  getEventHistory,
+};
@@ -0,0 +1,159 @@
+// instructorSchedule.js
+const config = require("../config");
+const { createStorage } = require("../storage");
+const { EVENTS_TABLE } = require("./syncEvents");
+const { ACTIVE } = require("./syncPlan");
+const {
+  INSTRUCTORS_TABLE,
+  EVENT_INSTRUCTORS_TABLE,
+} = require("./syncInstructors");
+const { resolveInstructor } = require("./utils/instructors");
+
+/**
+ * Find the directory entries matching a name typed on the command line: the
+ * instructor it normalizes to (following aliases) if stored, otherwise every
+ * instructor whose name or a known spelling contains it.
+ * @param {Object} storage - Storage backend from createStorage()
+ * @param {string} name
+ * @returns {Promise<Array<Object>>} Instructor rows
+ */
+async function findInstructors(storage, name) {
+  const resolved = resolveInstructor(name);
+  if (resolved) {
+    const [exact] = await storage.select(INSTRUCTORS_TABLE, {
+      id: resolved.id,
+    });
+    if (exact) {
+      return [exact];
+    }
+  }
+
+  const needle = name.trim().toLowerCase();
+  return (await storage.select(INSTRUCTORS_TABLE)).filter((row) =>
+    [row.display_name, ...(row.aliases || [])].some((spelling) =>
+      String(spelling).toLowerCase().includes(needle)
+    )
+  );
+}
+
+/**
+ * An instructor's active events, in date and time order.
+ * @param {Object} storage - Storage backend from createStorage()
+ * @param {string} instructorId
+ * @param {Object} [options]
+ * @param {string} [options.from] - YYYY-MM-DD, inclusive
+ * @param {string} [options.to] - YYYY-MM-DD, inclusive
+ * @returns {Promise<Array<Object>>} Event rows
+ */
+async function getInstructorSchedule(storage, instructorId, { from, to } = {}) {
+  const links = await storage.select(EVENT_INSTRUCTORS_TABLE, {
+    instructor_id: instructorId,
+  });
+  if (links.length === 0) {
+    return [];
+  }
+
+  const events = await storage.select(EVENTS_TABLE, {
+    id: links.map((link) => link.event_id),
+    status: ACTIVE,
+  });
+  return events
+    .filter(
+      (event) => (!from || event.date >= from) && (!to || event.date <= to)
+    )
+    .sort((a, b) =>
+      `${a.date}T${a.start_time}`.localeCompare(`${b.date}T${b.start_time}`)
+    );
+}
+
+function formatSchedule(instructor, events) {
+  if (events.length === 0) {
+    return `No scheduled events for ${instructor.display_name}`;
+  }
+  return [
+    `Schedule for ${instructor.display_name} (${events.length} events):`,
+    ...events.map(
+      (event) =>
+        `  ${event.date} ${event.start_time}-${event.end_time}  ${
+          event.room_name || "(no room)"
+        }  ${event.event_name}${
+          event.session_number ? ` [session ${event.session_number}]` : ""
+        }`
+    ),
+  ].join("\n");
+}
+
+/**
+ * Parse "<name> [--from YYYY-MM-DD] [--to YYYY-MM-DD]".
+ * @param {Array<string>} args
+ * @returns {{ name: string, from: string|undefined, to: string|undefined }}
+ */
+function parseScheduleArgs(args) {
+  const options = { name: "", from: undefined, to: undefined };
+  const words = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--from" || args[i] === "--to") {
+      const value = args[i + 1];
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value || "")) {
+        throw new Error(`${args[i]} needs a YYYY-MM-DD date`);
+      }
+      options[args[i].slice(2)] = value;
+      i++;
+    } else {
+      words.push(args[i]);
+    }
+  }
+  options.name = words.join(" ");
+  return options;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseScheduleArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    options = { name: "" };
+  }
+  if (!options.name) {
+    console.error(
+      "Usage: node 25live/instructorSchedule.js <instructor name> [--from YYYY-MM-DD] [--to YYYY-MM-DD]"
+    );
+    process.exit(1);
+  }
+
+  try {
+    config.validate({ requireNorthwestern: false });
+    const storage = createStorage();
+    const instructors = await findInstructors(storage, options.name);
+
+    if (instructors.length === 0) {
+      console.log(`No instructor matches "${options.name}"`);
+      return;
+    }
+    if (instructors.length > 1) {
+      console.log(`Several instructors match "${options.name}":`);
+      instructors.forEach((row) =>
+        console.log(`  ${row.display_name} (${row.id})`)
+      );
+      return;
+    }
+
+    const [instructor] = instructors;
+    const events = await getInstructorSchedule(storage, instructor.id, options);
+    console.log(formatSchedule(instructor, events));
+  } catch (error) {
+    console.error("Error reading instructor schedule:", error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  findInstructors,
+  getInstructorSchedule,
+  parseScheduleArgs,
+};
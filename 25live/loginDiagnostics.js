@@ -0,0 +1,201 @@
+// loginDiagnostics.js
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+
+const LOGIN_OUTCOMES = {
+  SUCCESS: "success",
+  INVALID_CREDENTIALS: "invalid_credentials",
+  MFA_REQUIRED: "mfa_required",
+  ACCOUNT_LOCKED: "account_locked",
+  MAINTENANCE: "maintenance",
+  UNEXPECTED_PAGE: "unexpected_page",
+};
+
+/**
+ * Base class for a sign-in that did not reach the 25Live availability view.
+ * Each subclass carries a distinct process exit code so the workflow (or a
+ * person reading the run) can tell the failure modes apart.
+ */
+class LoginError extends Error {
+  constructor(message, { url = null, diagnostics = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.url = url;
+    this.diagnostics = diagnostics;
+  }
+}
+
+class InvalidCredentialsError extends LoginError {}
+InvalidCredentialsError.outcome = LOGIN_OUTCOMES.INVALID_CREDENTIALS;
+InvalidCredentialsError.exitCode = 10;
+
+class MfaRequiredError extends LoginError {}
+MfaRequiredError.outcome = LOGIN_OUTCOMES.MFA_REQUIRED;
+MfaRequiredError.exitCode = 11;
+
+class AccountLockedError extends LoginError {}
+AccountLockedError.outcome = LOGIN_OUTCOMES.ACCOUNT_LOCKED;
+AccountLockedError.exitCode = 12;
+
+class UnexpectedLoginPageError extends LoginError {}
+UnexpectedLoginPageError.outcome = LOGIN_OUTCOMES.UNEXPECTED_PAGE;
+UnexpectedLoginPageError.exitCode = 13;
+
+class MaintenanceError extends LoginError {}
+MaintenanceError.outcome = LOGIN_OUTCOMES.MAINTENANCE;
+MaintenanceError.exitCode = 14;
+
+const ERRORS_BY_OUTCOME = {
+  [LOGIN_OUTCOMES.INVALID_CREDENTIALS]: InvalidCredentialsError,
+  [LOGIN_OUTCOMES.MFA_REQUIRED]: MfaRequiredError,
+  [LOGIN_OUTCOMES.ACCOUNT_LOCKED]: AccountLockedError,
+  [LOGIN_OUTCOMES.MAINTENANCE]: MaintenanceError,
+  [LOGIN_OUTCOMES.UNEXPECTED_PAGE]: UnexpectedLoginPageError,
+};
+
+const ERROR_MESSAGES = {
+  [LOGIN_OUTCOMES.INVALID_CREDENTIALS]:
+    "Northwestern SSO rejected the username or password",
+  [LOGIN_OUTCOMES.MFA_REQUIRED]:
+    "Northwestern SSO asked for multi-factor authentication (Duo)",
+  [LOGIN_OUTCOMES.ACCOUNT_LOCKED]: "The Northwestern account is locked",
+  [LOGIN_OUTCOMES.MAINTENANCE]: "25Live is down for maintenance",
+  [LOGIN_OUTCOMES.UNEXPECTED_PAGE]:
+    "Sign-in ended on a page that was not recognised",
+};
+
+// Checked in order; the first match wins. Lockout messages often also say
+// "authentication failed", so they have to be tested before bad passwords.
+const TEXT_PATTERNS = [
+  {
+    outcome: LOGIN_OUTCOMES.MFA_REQUIRED,
+    pattern:
+      /duo security|two-factor|multi-factor|send me a push|verify (it's|it is) you|enter a passcode/i,
+  },
+  {
+    outcome: LOGIN_OUTCOMES.ACCOUNT_LOCKED,
+    pattern:
+      /account (is |has been )?(locked|disabled|inactive)|too many (failed )?(login )?attempts/i,
+  },
+  {
+    outcome: LOGIN_OUTCOMES.INVALID_CREDENTIALS,
+    pattern:
+      /authentication failed|invalid (username|password|credentials)|incorrect (username|password|netid)/i,
+  },
+  {
+    outcome: LOGIN_OUTCOMES.MAINTENANCE,
+    pattern:
+      /scheduled maintenance|down for maintenance|temporarily unavailable|service unavailable/i,
+  },
+];
+
+async function readPageText(page) {
+  try {
+    return (await page.textContent("body")) || "";
+  } catch (error) {
+    return "";
+  }
+}
+
+/**
+ * Look at the current page and decide how the sign-in went.
+ * @param {import('playwright').Page} page
+ * @returns {Promise<string|null>} One of LOGIN_OUTCOMES, or null if the page
+ *   is still in flight and nothing recognisable has rendered yet
+ */
+async function classifyLoginPage(page) {
+  if (await page.$('div[ui-view="availability"]')) {
+    return LOGIN_OUTCOMES.SUCCESS;
+  }
+
+  const url = page.url();
+  if (
+    /duosecurity\.com/i.test(url) ||
+    (await page.$('#duo_iframe, iframe[src*="duosecurity"]'))
+  ) {
+    return LOGIN_OUTCOMES.MFA_REQUIRED;
+  }
+
+  const text = await readPageText(page);
+  const match = TEXT_PATTERNS.find(({ pattern }) => pattern.test(text));
+  return match ? match.outcome : null;
+}
+
+/**
+ * Poll the page until it settles on a recognisable outcome or the timeout
+ * passes, in which case it is reported as an unexpected page.
+ * @param {import('playwright').Page} page
+ * @param {number} [timeout]
+ * @returns {Promise<string>} One of LOGIN_OUTCOMES
+ */
+async function waitForLoginOutcome(page, timeout = config.browser.timeout) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const outcome = await classifyLoginPage(page);
+    if (outcome) {
+      return outcome;
+    }
+    await page.waitForTimeout(500);
+  }
+  return (await classifyLoginPage(page)) || LOGIN_OUTCOMES.UNEXPECTED_PAGE;
+}
+
+/**
+ * Save a screenshot and HTML snapshot of the page for debugging a failed sign-in.
+ * Failures here are logged and swallowed so they never mask the login error.
+ * @param {import('playwright').Page} page
+ * @param {string} label - Used in the file names, usually the outcome
+ * @returns {Promise<{ screenshot: string, html: string }|null>}
+ */
+async function saveLoginDiagnostics(page, label) {
+  try {
+    const dir = path.resolve(config.diagnostics.dir);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const basePath = path.join(dir, `login-${stamp}-${label}`);
+    const screenshot = `${basePath}.png`;
+    const html = `${basePath}.html`;
+
+    await page.screenshot({ path: screenshot, fullPage: true });
+    fs.writeFileSync(html, await page.content());
+
+    console.log(`Saved login diagnostics: ${screenshot}, ${html}`);
+    return { screenshot, html };
+  } catch (error) {
+    console.error("Could not save login diagnostics:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Capture diagnostics for the page and build the matching LoginError.
+ * @param {import('playwright').Page} page
+ * @param {string} outcome - One of LOGIN_OUTCOMES other than SUCCESS
+ * @param {string} [detail] - Extra context appended to the message
+ * @returns {Promise<LoginError>}
+ */
+async function createLoginError(page, outcome, detail) {
+  const ErrorClass = ERRORS_BY_OUTCOME[outcome] || UnexpectedLoginPageError;
+  const url = page.url();
+  const diagnostics = await saveLoginDiagnostics(page, ErrorClass.outcome);
+  const message = [ERROR_MESSAGES[ErrorClass.outcome], detail, `(at ${url})`]
+    .filter(Boolean)
+    .join(" ");
+  return new ErrorClass(message, { url, diagnostics });
+}
+
+module.exports = {
+  LOGIN_OUTCOMES,
+  LoginError,
+  InvalidCredentialsError,
+  MfaRequiredError,
+  AccountLockedError,
+  UnexpectedLoginPageError,
+  MaintenanceError,
+  classifyLoginPage,
+  waitForLoginOutcome,
+  saveLoginDiagnostics,
+  createLoginError,
+};
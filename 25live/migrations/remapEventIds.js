@@ -0,0 +1,261 @@
+// remapEventIds.js
+//
+// Migration from the old truncated numeric event ids
+// (generateDeterministicId) to the collision-free ids from generateEventId.
+//
+// On Supabase the remap is done by
+// supabase/migrations/20261019001500_remap_event_ids.sql, in one transaction
+// with every table that refers to events; run this script with --dry-run
+// first to see what that migration will do. On the local JSON/SQLite
+// backends this script applies the same remap itself. Either way it must
+// happen before the first scrape with the new ids; otherwise that scrape sees
+// every stored row as gone and the mass-deletion guard blocks it. Safe to
+// re-run: rows that already have a new-style id are left alone.
+//
+//   node 25live/migrations/remapEventIds.js [--dry-run]
+const config = require("../../config");
+const { createStorage } = require("../../storage");
+const { generateEventId } = require("../utils");
+const { EVENTS_TABLE } = require("../syncEvents");
+const { EVENT_CHANGES_TABLE } = require("../eventHistory");
+const { TASKS_TABLE } = require("../syncTasks");
+const { EVENT_INSTRUCTORS_TABLE } = require("../syncInstructors");
+
+const EVENT_ID_MAP_TABLE = "event_id_map";
+const NEW_ID_PATTERN = /^\d+-\d+-\d+$/;
+
+/**
+ * Work out the new id for every stored event that still has an old one, the
+ * same way the SQL migration does. `keep` is false for an old row that is
+ * dropped instead of renamed: several old rows mapping to one new id keep
+ * the most recently updated, and an old row whose new id is already stored
+ * (a scrape ran first) is dropped in favour of that row.
+ * @param {Array} events - All stored event rows
+ * @returns {{ remaps: Array<{ oldId: *, newId: string, keep: boolean, row: Object }>, unmapped: Array<Object> }}
+ */
+function planEventIdRemap(events) {
+  const storedIds = new Set(events.map((row) => String(row.id)));
+  const candidates = [];
+  const unmapped = [];
+
+  events.forEach((row) => {
+    if (NEW_ID_PATTERN.test(String(row.id))) {
+      return;
+    }
+    try {
+      const newId = generateEventId(
+        row.item_id,
+        row.item_id2,
+        row.raw?.subject_itemId
+      );
+      candidates.push({ oldId: row.id, newId, row });
+    } catch (error) {
+      unmapped.push(row);
+    }
+  });
+
+  const latestByNewId = new Map();
+  candidates.forEach((remap) => {
+    const current = latestByNewId.get(remap.newId);
+    if (
+      !current ||
+      String(remap.row.updated_at) > String(current.row.updated_at)
+    ) {
+      latestByNewId.set(remap.newId, remap);
+    }
+  });
+
+  const remaps = candidates.map((remap) => ({
+    ...remap,
+    keep:
+      latestByNewId.get(remap.newId) === remap && !storedIds.has(remap.newId),
+  }));
+  return { remaps, unmapped };
+}
+
+/**
+ * Rows of a referencing table grouped by the new event id they move to.
+ * @param {Array<Object>} remaps
+ * @returns {Map<string, Array<string>>} new id -> old ids
+ */
+const oldIdsByNewId = (remaps) => {
+  const grouped = new Map();
+  remaps.forEach(({ oldId, newId }) => {
+    if (!grouped.has(newId)) {
+      grouped.set(newId, []);
+    }
+    grouped.get(newId).push(oldId);
+  });
+  return grouped;
+};
+
+/**
+ * How many rows of each table a remap touches, for the dry-run report.
+ * @param {Object} storage
+ * @param {Array<Object>} remaps
+ * @param {Array<Object>} events - All stored event rows
+ * @returns {Promise<Object>}
+ */
+async function countReferences(storage, remaps, events) {
+  const oldIds = remaps.map(({ oldId }) => oldId);
+  const oldIdSet = new Set(oldIds.map(String));
+  const countIn = async (table) =>
+    (await storage.select(table, { event_id: oldIds })).length;
+
+  return {
+    [EVENT_CHANGES_TABLE]: await countIn(EVENT_CHANGES_TABLE),
+    [TASKS_TABLE]: await countIn(TASKS_TABLE),
+    [EVENT_INSTRUCTORS_TABLE]: await countIn(EVENT_INSTRUCTORS_TABLE),
+    merged_lineage: events.filter((row) =>
+      (row.merged_from || []).some((id) => oldIdSet.has(String(id)))
+    ).length,
+  };
+}
+
+/**
+ * Apply a remap to a local backend: new rows first, then every referencing
+ * table, then the old rows, so an interrupted run loses nothing and can be
+ * re-run.
+ */
+async function applyEventIdRemap(storage, remaps, events) {
+  const oldIdSet = new Set(remaps.map(({ oldId }) => String(oldId)));
+  const newIdOf = new Map(
+    remaps.map(({ oldId, newId }) => [String(oldId), newId])
+  );
+  const refersToOldId = (row) =>
+    (row.merged_from || []).some((id) => oldIdSet.has(String(id)));
+  const withNewLineage = (row) =>
+    refersToOldId(row)
+      ? {
+          ...row,
+          merged_from: row.merged_from.map(
+            (id) => newIdOf.get(String(id)) ?? id
+          ),
+        }
+      : row;
+
+  await storage.upsert(
+    EVENTS_TABLE,
+    remaps
+      .filter(({ keep }) => keep)
+      .map(({ newId, row }) => ({ ...withNewLineage(row), id: newId })),
+    { key: "id" }
+  );
+
+  const migratedAt = new Date().toISOString();
+  await storage.upsert(
+    EVENT_ID_MAP_TABLE,
+    remaps.map(({ oldId, newId }) => ({
+      old_id: String(oldId),
+      new_id: newId,
+      migrated_at: migratedAt,
+    })),
+    { key: "old_id" }
+  );
+
+  for (const [newId, oldIds] of oldIdsByNewId(remaps)) {
+    await storage.update(
+      EVENT_CHANGES_TABLE,
+      { event_id: oldIds },
+      { event_id: newId }
+    );
+    await storage.update(
+      TASKS_TABLE,
+      { event_id: oldIds },
+      { event_id: newId }
+    );
+  }
+  // Instructor links are rebuilt by the next sync
+  await storage.remove(EVENT_INSTRUCTORS_TABLE, {
+    event_id: remaps.map(({ oldId }) => oldId),
+  });
+
+  const lineageRows = events
+    .filter((row) => !oldIdSet.has(String(row.id)) && refersToOldId(row))
+    .map(withNewLineage);
+  if (lineageRows.length > 0) {
+    await storage.upsert(EVENTS_TABLE, lineageRows, { key: "id" });
+  }
+
+  return storage.remove(EVENTS_TABLE, {
+    id: remaps.map(({ oldId }) => oldId),
+  });
+}
+
+async function remapEventIds(storage, { dryRun = false, driver } = {}) {
+  const events = await storage.select(EVENTS_TABLE);
+  const { remaps, unmapped } = planEventIdRemap(events);
+  const dropped = remaps.filter(({ keep }) => !keep);
+
+  console.log(
+    `${events.length} events stored, ${remaps.length} need a new id (${dropped.length} of them duplicates to drop), ${unmapped.length} cannot be mapped`
+  );
+  unmapped.forEach((row) => {
+    console.warn(
+      `  Cannot remap event ${row.id}: missing item_id, item_id2 or raw.subject_itemId`
+    );
+  });
+
+  if (remaps.length === 0) {
+    return { remapped: 0, dropped: 0, unmapped: unmapped.length };
+  }
+
+  if (dryRun) {
+    const references = await countReferences(storage, remaps, events);
+    console.log(
+      `Rows referring to remapped events: ${Object.entries(references)
+        .map(([table, count]) => `${table} ${count}`)
+        .join(", ")}`
+    );
+    remaps
+      .slice(0, 20)
+      .forEach(({ oldId, newId, keep }) =>
+        console.log(`  ${oldId} -> ${newId}${keep ? "" : " (dropped)"}`)
+      );
+    return { remapped: 0, dropped: 0, unmapped: unmapped.length };
+  }
+
+  if (driver === "supabase") {
+    throw new Error(
+      "On Supabase the remap runs as supabase/migrations/20261019001500_remap_event_ids.sql; use --dry-run here to preview it"
+    );
+  }
+
+  const removed = await applyEventIdRemap(storage, remaps, events);
+  console.log(
+    `Remapped ${remaps.length - dropped.length} events, dropped ${
+      dropped.length
+    } duplicates (removed ${removed} old rows)`
+  );
+
+  return {
+    remapped: remaps.length - dropped.length,
+    dropped: dropped.length,
+    unmapped: unmapped.length,
+  };
+}
+
+async function main() {
+  try {
+    config.validate({ requireNorthwestern: false });
+    const storage = createStorage();
+    console.log(`Using storage backend: ${storage.name}`);
+    await remapEventIds(storage, {
+      dryRun: process.argv.includes("--dry-run"),
+      driver: config.storage.driver,
+    });
+  } catch (error) {
+    console.error("Error remapping event ids:", error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  EVENT_ID_MAP_TABLE,
+  planEventIdRemap,
+  remapEventIds,
+};
@@ -0,0 +1,65 @@
+// purgeCancelledEvents.js
+const dayjs = require("dayjs");
+const config = require("../config");
+const { createStorage } = require("../storage");
+const { EVENTS_TABLE } = require("./syncEvents");
+const { CANCELLED } = require("./syncPlan");
+
+/**
+ * Permanently delete events that have been cancelled for longer than the
+ * retention period. The scrape only ever soft-deletes, so this is the one
+ * place rows leave the events table.
+ * @param {Object} storage - Storage backend from createStorage()
+ * @param {number} [retentionDays] - Defaults to config.sync.cancelledRetentionDays
+ * @returns {Promise<number>} Number of events purged
+ */
+async function purgeCancelledEvents(
+  storage,
+  retentionDays = config.sync.cancelledRetentionDays
+) {
+  const cutoff = dayjs().subtract(retentionDays, "day");
+  console.log(
+    `Purging events cancelled before ${cutoff.toISOString()} (${retentionDays} day retention)...`
+  );
+
+  const cancelledEvents = await storage.select(EVENTS_TABLE, {
+    status: CANCELLED,
+  });
+  const expiredIds = cancelledEvents
+    .filter(
+      (event) =>
+        event.cancelled_at && dayjs(event.cancelled_at).isBefore(cutoff)
+    )
+    .map((event) => event.id);
+
+  if (expiredIds.length === 0) {
+    console.log("No cancelled events past the retention period");
+    return 0;
+  }
+
+  const purgedCount = await storage.remove(EVENTS_TABLE, { id: expiredIds });
+  console.log(
+    `Purged ${purgedCount} of ${cancelledEvents.length} cancelled events`
+  );
+  return purgedCount;
+}
+
+async function main() {
+  try {
+    config.validate({ requireNorthwestern: false });
+    const storage = createStorage();
+    console.log(`Using storage backend: ${storage.name}`);
+    await purgeCancelledEvents(storage);
+  } catch (error) {
+    console.error("Error purging cancelled events:", error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  purgeCancelledEvents,
+};
@@ -0,0 +1,83 @@
+// recordEvdetailFixtures.js
+//
+// Save the raw 25Live items of stored events as test fixtures, so the
+// evdetail extractors are tested against real payloads and not only the
+// hand-made test/fixtures/evdetail.json. Every file in
+// test/fixtures/recorded is checked by test/25live/utils/evdetail.test.js.
+//
+//   node 25live/recordEvdetailFixtures.js <event id> [<event id>...]
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+const { createStorage } = require("../storage");
+const { EVENTS_TABLE } = require("./syncEvents");
+
+const RECORDED_FIXTURES_DIR = path.join(
+  __dirname,
+  "..",
+  "test",
+  "fixtures",
+  "recorded"
+);
+
+/**
+ * Write the raw item of each stored event to <dir>/<event id>.json.
+ * @param {Object} storage - Storage backend from createStorage()
+ * @param {Array<string>} eventIds
+ * @param {string} [dir]
+ * @returns {Promise<Array<string>>} The files written
+ */
+async function recordEvdetailFixtures(
+  storage,
+  eventIds,
+  dir = RECORDED_FIXTURES_DIR
+) {
+  const events = await storage.select(EVENTS_TABLE, { id: eventIds });
+  const found = new Set(events.map((event) => String(event.id)));
+  eventIds
+    .filter((id) => !found.has(String(id)))
+    .forEach((id) => console.warn(`  No stored event ${id}`));
+
+  fs.mkdirSync(dir, { recursive: true });
+  const written = [];
+  events.forEach((event) => {
+    if (!event.raw?.itemDetails) {
+      console.warn(`  Event ${event.id} has no stored evdetail payload`);
+      return;
+    }
+    const file = path.join(dir, `${event.id}.json`);
+    fs.writeFileSync(file, `${JSON.stringify(event.raw, null, 2)}\n`);
+    console.log(`Wrote ${file}`);
+    written.push(file);
+  });
+  return written;
+}
+
+async function main() {
+  const eventIds = process.argv.slice(2);
+  if (eventIds.length === 0) {
+    console.error(
+      "Usage: node 25live/recordEvdetailFixtures.js <event id> [<event id>...]"
+    );
+    process.exit(1);
+  }
+
+  try {
+    config.validate({ requireNorthwestern: false });
+    const storage = createStorage();
+    console.log(`Using storage backend: ${storage.name}`);
+    await recordEvdetailFixtures(storage, eventIds);
+  } catch (error) {
+    console.error("Error recording evdetail fixtures:", error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  RECORDED_FIXTURES_DIR,
+  recordEvdetailFixtures,
+};
@@ -1,22 +1,34 @@
 // scrape.js
 const { chromium } = require("playwright");
-const dayjs = require("dayjs");
 const fs = require("fs");
-const { createClient } = require("@supabase/supabase-js");
 const config = require("../config");
 const { transformRawEventsToEvents } = require("./transformRawEventsToEvents");
-
-// Validate configuration
-try {
-  config.validate();
-  console.log("Configuration validated successfully");
-} catch (error) {
-  console.error("Configuration error:", error.message);
-  process.exit(1);
-}
-
-// Initialize Supabase client
-const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
+const { parseRunOptions } = require("./utils/runOptions");
+const { createStorage } = require("../storage");
+const { planEvents, saveEvents } = require("./syncEvents");
+const { transformEventsToTasks } = require("./transformEventsToTasks");
+const { planTasks, saveTasks } = require("./syncTasks");
+const { saveSeries } = require("./syncSeries");
+const { saveInstructors } = require("./syncInstructors");
+const { formatTaskReport } = require("./taskPlan");
+const { formatSyncPlan, summarizeSyncPlan } = require("./syncPlan");
+const {
+  saveSession,
+  loadSession,
+  toCookieString,
+  isSessionValid,
+} = require("./sessionStore");
+const {
+  LOGIN_OUTCOMES,
+  LoginError,
+  classifyLoginPage,
+  waitForLoginOutcome,
+  createLoginError,
+} = require("./loginDiagnostics");
+
+const SESSION_EXPIRED = "SESSION_EXPIRED";
+// Times login() starts a new browser after the old one was closed under it
+const MAX_BROWSER_RESTARTS = 2;
 
 let browser;
 
@@ -29,105 +41,42 @@ async function initBrowser() {
   return browser;
 }
 
-async function saveEventsToSupabase(processedEvents, scrapeDate) {
+/**
+ * Wait for an element that the sign-in flow depends on. If it never shows up,
+ * classify whatever page we landed on instead of surfacing a bare timeout.
+ * @param {import('playwright').Page} page
+ * @param {string} selector
+ */
+async function waitForLoginStep(page, selector) {
   try {
-    console.log(`Saving ${processedEvents.length} events to Supabase...`);
-
-    // First, get all existing events for this date to identify which ones are no longer present
-
-    const { data: existingEvents, error: fetchError } = await supabase
-      .from("events")
-      .select("id, item_id, item_id2")
-      .eq("date", scrapeDate);
-
-    if (fetchError) {
-      console.error("Error fetching existing events:", fetchError);
-      throw fetchError;
-    }
-
-    // Create a set of current event IDs for quick lookup
-    const currentEventIds = new Set();
-    processedEvents.forEach((event) => {
-      // Use the already-generated ID from dataProcessor
-      if (event.id) {
-        currentEventIds.add(event.id);
-      } else {
-        console.warn("Skipping event with missing ID:", {
-          id: event.id,
-          item_id: event.item_id,
-          item_id2: event.item_id2,
-        });
-      }
-    });
-
-    // Debug: Log the comparison data
-
-    // Find events that exist in database but not in current scrape (deleted events)
-    const deletedEventIds = existingEvents
-      .filter((existingEvent) => !currentEventIds.has(existingEvent.id))
-      .map((event) => event.id);
-
-    if (deletedEventIds.length > 0) {
-      // Delete the events that no longer exist in 25Live
-      const { error: deleteError } = await supabase
-        .from("events")
-        .delete()
-        .in("id", deletedEventIds);
-
-      if (deleteError) {
-        console.error("Error deleting removed events:", deleteError);
-        throw deleteError;
-      }
-    }
-
-    // Then upsert the current events (this will update existing ones and add new ones)
-    const {
-      data: result,
-      error,
-      status,
-      statusText,
-    } = await supabase
-      .from("events")
-      .upsert(processedEvents, {
-        onConflict: "id",
-        ignoreDuplicates: false,
-      })
-      .select(); // Add select to see what was actually inserted/updated
-
-    if (error) {
-      console.error("Supabase upsert error details:", {
-        error,
-        status,
-        statusText,
-        message: error.message,
-        details: error.details,
-        hint: error.hint,
-        code: error.code,
-      });
+    await page.waitForSelector(selector, { timeout: config.browser.timeout });
+  } catch (error) {
+    if (error.name !== "TimeoutError") {
       throw error;
     }
-
-    console.log(
-      `Successfully upserted ${
-        result ? result.length : "unknown count"
-      } events to Supabase`
+    const outcome =
+      (await classifyLoginPage(page)) || LOGIN_OUTCOMES.UNEXPECTED_PAGE;
+    throw await createLoginError(
+      page,
+      outcome === LOGIN_OUTCOMES.SUCCESS
+        ? LOGIN_OUTCOMES.UNEXPECTED_PAGE
+        : outcome,
+      `while waiting for ${selector}`
     );
-    if (result && result.length > 0) {
-      console.log("Sample upserted event:", JSON.stringify(result[0], null, 2));
-    } else {
-      console.warn(
-        "WARNING: Upsert returned no data - this might indicate the events were not actually saved!"
-      );
-    }
-  } catch (error) {
-    console.error("Error saving to Supabase:", error);
-    throw error;
   }
 }
 
-async function fetchEventsData(startDate) {
+/**
+ * Sign in to 25Live through the Northwestern SSO form in a fresh browser context.
+ * Throws a LoginError subclass describing why the sign-in failed, after saving
+ * a screenshot and HTML snapshot of the page.
+ * @param {number} [browserRestarts] - Restarts already attempted (internal)
+ * @returns {Promise<Object>} The signed-in Playwright storage state
+ */
+async function login(browserRestarts = 0) {
   try {
-    console.log("Starting data fetch...");
+    console.log("Logging in to 25Live...");
+    await initBrowser();
     const context = await browser.newContext();
     const page = await context.newPage();
 
@@ -140,12 +89,12 @@ async function fetchEventsData(startDate) {
 
       // Wait for and click the Sign In button
       console.log("Waiting for sign in button...");
-      await page.waitForSelector(".c-nav-signin");
+      await waitForLoginStep(page, ".c-nav-signin");
       await page.click(".c-nav-signin");
 
       // Wait for the login form and fill credentials
       console.log("Filling login credentials...");
-      await page.waitForSelector('input[id="idToken1"]');
+      await waitForLoginStep(page, 'input[id="idToken1"]');
       await page.fill(
         'input[id="idToken1"]',
         process.env.NORTHWESTERN_USERNAME
@@ -155,14 +104,16 @@ async function fetchEventsData(startDate) {
         process.env.NORTHWESTERN_PASSWORD
       );
 
-      // Click login and wait for navigation
+      // Click login and wait for the SSO to land somewhere we recognise:
+      // the 25Live availability view, an error message or an MFA prompt
       console.log("Submitting login form...");
       await page.click('input[id="loginButton_0"]');
-      await page.waitForNavigation();
 
-      // Wait for the main 25Live page to load
       console.log("Waiting for main page to load...");
-      await page.waitForSelector('div[ui-view="availability"]');
+      const outcome = await waitForLoginOutcome(page);
+      if (outcome !== LOGIN_OUTCOMES.SUCCESS) {
+        throw await createLoginError(page, outcome);
+      }
 
       // Get cookies for authentication
       console.log("Getting authentication cookies...");
@@ -170,208 +121,477 @@ async function fetchEventsData(startDate) {
       console.log("Number of cookies received:", cookies.length);
       console.log("Cookie names:", cookies.map((c) => c.name).join(", "));
 
-      const cookieString = cookies
-        .map((cookie) => `${cookie.name}=${cookie.value}`)
-        .join("; ");
-
-      // Fetch the availability data with the provided date
-      console.log(`Fetching data for date: ${startDate}`);
-      const apiUrl = `https://25live.collegenet.com/25live/data/northwestern/run/availability/availabilitydata.json?obj_cache_accl=0&start_dt=${startDate}T00:00:00&comptype=availability_home&compsubject=location&page_size=100&space_favorite=T&include=closed+blackouts+pending+related+empty&caller=pro-AvailService.getData`;
-      console.log(`API URL: ${apiUrl}`);
-
-      const response = await fetch(apiUrl, {
-        headers: {
-          Cookie: cookieString,
-          Accept: "application/json",
-          "Content-Type": "application/json",
-          "X-Requested-With": "XMLHttpRequest",
-        },
-      });
-
-      const rawData = await response.json();
-
-      // Log the actual API response for debugging
-      console.log("=== RAW API RESPONSE DEBUG ===");
-      console.log("API Response status:", response.status);
-      console.log("Raw data keys:", Object.keys(rawData));
+      return await context.storageState();
+    } finally {
+      await context.close();
+    }
+  } catch (error) {
+    console.error("Error logging in:", error);
+    // If browser is closed, reinitialize it and retry the login
+    if (
+      error.message.includes(
+        "Target page, context or browser has been closed"
+      ) &&
+      browserRestarts < MAX_BROWSER_RESTARTS
+    ) {
       console.log(
-        "Number of subjects:",
-        rawData.subjects ? rawData.subjects.length : 0
+        `Browser was closed, reinitializing (attempt ${browserRestarts + 1} of ${MAX_BROWSER_RESTARTS})...`
       );
-      if (rawData.subjects && rawData.subjects.length > 0) {
-        console.log(
-          "First subject sample:",
-          JSON.stringify(rawData.subjects[0], null, 2)
-        );
-        if (rawData.subjects[0].items && rawData.subjects[0].items.length > 0) {
-          console.log(
-            "First item sample:",
-            JSON.stringify(rawData.subjects[0].items[0], null, 2)
-          );
-        }
-      }
-      console.log("=== END RAW API RESPONSE DEBUG ===");
-      console.log("API Response data structure:", {
-        hasSubjects: !!rawData.subjects,
-        pageCount: rawData.page_count,
-        lastUpdate: rawData.lastupdate,
-        compType: rawData.comptype,
-      });
-
-      if (rawData.subjects) {
-        const firstSubject = rawData.subjects[0];
+      browser = null;
+      await initBrowser();
+      return login(browserRestarts + 1);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get a signed-in cookie string, reusing the stored session while it still
+ * passes the validity check and only falling back to the browser login when
+ * it has expired (or when forceLogin is set).
+ * @param {Object} [options]
+ * @param {boolean} [options.forceLogin]
+ * @returns {Promise<string>} Cookie header for 25Live API requests
+ */
+async function authenticate({ forceLogin = false } = {}) {
+  if (!forceLogin) {
+    const storedState = loadSession();
+    if (storedState) {
+      const storedCookies = toCookieString(storedState);
+      if (await isSessionValid(storedCookies)) {
+        console.log("Reusing stored 25Live session");
+        return storedCookies;
       }
+      console.log("Stored 25Live session has expired");
+    }
+  }
 
-      // Check if we have valid data
-      if (!rawData) {
-        console.error(
-          "Invalid data received. Full response:",
-          JSON.stringify(rawData, null, 2)
-        );
+  const storageState = await login();
+  saveSession(storageState);
+  return toCookieString(storageState);
+}
+
+const AVAILABILITY_PAGE_SIZE = 100;
+
+/**
+ * Fetch one page of the availability grid.
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {number} page - 1-based page number
+ * @param {string} cookieString - Cookie header produced by authenticate()
+ * @returns {Promise<Object>} The parsed availabilitydata.json payload
+ */
+async function fetchAvailabilityPage(startDate, page, cookieString) {
+  const apiUrl = `https://25live.collegenet.com/25live/data/northwestern/run/availability/availabilitydata.json?obj_cache_accl=0&start_dt=${startDate}T00:00:00&comptype=availability_home&compsubject=location&page=${page}&page_size=${AVAILABILITY_PAGE_SIZE}&space_favorite=T&include=closed+blackouts+pending+related+empty&caller=pro-AvailService.getData`;
+  console.log(`API URL: ${apiUrl}`);
+
+  const response = await fetch(apiUrl, {
+    headers: {
+      Cookie: cookieString,
+      Accept: "application/json",
+      "Content-Type": "application/json",
+      "X-Requested-With": "XMLHttpRequest",
+    },
+  });
+
+  // An expired session comes back as 401/403 (or an HTML sign-in page)
+  // rather than JSON, so flag it and let the caller log in again
+  const contentType = response.headers.get("content-type") || "";
+  if (
+    response.status === 401 ||
+    response.status === 403 ||
+    !contentType.includes("json")
+  ) {
+    const sessionError = new Error(
+      `25Live session rejected (status ${response.status}, content-type "${contentType}")`
+    );
+    sessionError.code = SESSION_EXPIRED;
+    throw sessionError;
+  }
+
+  console.log(`Availability page ${page} status:`, response.status);
+  return response.json();
+}
+
+/**
+ * Fetch every page of the availability grid and merge their subjects.
+ *
+ * A missing page would make its rooms look empty, and saveEvents
+ * would then delete those rooms' events, so any disagreement between
+ * page_count and the subjects actually received is treated as fatal.
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} cookieString - Cookie header produced by authenticate()
+ * @returns {Promise<Object>} The first page's payload with `subjects` from all pages
+ */
+async function fetchAvailabilityData(startDate, cookieString) {
+  const firstPage = await fetchAvailabilityPage(startDate, 1, cookieString);
+  if (!firstPage) {
+    return firstPage;
+  }
+
+  const pageCount = Number(firstPage.page_count) || 1;
+  const pages = [firstPage];
+
+  for (let page = 2; page <= pageCount; page++) {
+    const pageData = await fetchAvailabilityPage(startDate, page, cookieString);
+    if (Number(pageData?.page_count) !== pageCount) {
+      throw new Error(
+        `Availability page ${page} of ${startDate} reported page_count ${pageData?.page_count}, expected ${pageCount}`
+      );
+    }
+    pages.push(pageData);
+  }
+
+  const seenSubjectIds = new Set();
+  const subjects = [];
+
+  pages.forEach((pageData, index) => {
+    const pageSubjects = pageData.subjects || [];
+    const isLastPage = index === pages.length - 1;
+
+    // Every page but the last must be full; the last must not be empty
+    // unless the whole day has no subjects at all
+    const isShortPage =
+      !isLastPage && pageSubjects.length !== AVAILABILITY_PAGE_SIZE;
+    const isEmptyLastPage =
+      isLastPage && pageCount > 1 && pageSubjects.length === 0;
+    if (isShortPage || isEmptyLastPage) {
+      throw new Error(
+        `Availability page ${index + 1} of ${pageCount} for ${startDate} returned ${pageSubjects.length} subjects (page_size ${AVAILABILITY_PAGE_SIZE})`
+      );
+    }
+
+    pageSubjects.forEach((subject) => {
+      if (seenSubjectIds.has(subject.itemId)) {
         throw new Error(
-          "Invalid data received from API: " + JSON.stringify(rawData)
+          `Availability subject ${subject.itemId} (${subject.itemName}) appeared on more than one page for ${startDate}`
         );
       }
+      seenSubjectIds.add(subject.itemId);
+      subjects.push(subject);
+    });
+  });
 
-      // If no subjects, there are no events for this day - exit gracefully
-      if (!rawData.subjects) {
-        console.log("No events found for this date - exiting");
-        return;
-      }
-
-      // Log each subject's structure
-      rawData.subjects.forEach((subject, index) => {
-        if (subject.items) {
-          console.log("Items length:", subject.items.length);
-        }
-      });
-
-      // Process the data
-      const processedData = rawData.subjects
-        .filter((subject) => subject.items && Array.isArray(subject.items)) // Only keep subjects with items array
-        .reduce((acc, subject) => {
-          const subjectData = Object.entries(subject).reduce(
-            (obj, [key, value]) => {
-              if (key !== "items") {
-                obj[`subject_${key}`] = value;
-              }
-              return obj;
-            },
-            {}
-          );
+  console.log(
+    `Fetched ${subjects.length} subjects across ${pages.length} page(s)`
+  );
 
-          const itemsWithSubject = subject.items.map((item) => ({
-            ...item,
-            ...subjectData,
-          }));
-          return [...acc, ...itemsWithSubject];
-        }, []);
-      console.log(`Processing ${processedData.length} items...`);
-
-      // Log some sample data to understand structure
-      if (processedData.length > 0) {
-        console.log("Sample event structure:", {
-          itemId: processedData[0].itemId,
-          itemName: processedData[0].itemName,
-          subject_itemName: processedData[0].subject_itemName,
-          start: processedData[0].start,
-          end: processedData[0].end,
-        });
-      }
+  if (!firstPage.subjects && subjects.length === 0) {
+    return firstPage;
+  }
+  return { ...firstPage, subjects };
+}
 
-      // Make all API requests in parallel using fetch
-      const detailPromises = processedData.map(async (item, index) => {
-        try {
-          // Add small delay to prevent overwhelming the server
-          if (index > 0 && index % 5 === 0) {
-            await new Promise((resolve) => setTimeout(resolve, 200));
-          }
+/**
+ * Fetch the availability grid and event details for one date, reusing the
+ * cookie string from a previous login.
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} cookieString - Cookie header produced by authenticate()
+ * @returns {Promise<Array|undefined>} Raw events with details, or undefined when the day is empty
+ */
+async function fetchEventsData(startDate, cookieString) {
+  console.log("Starting data fetch...");
+
+  // Fetch the availability data with the provided date
+  console.log(`Fetching data for date: ${startDate}`);
+  const rawData = await fetchAvailabilityData(startDate, cookieString);
+
+  // Log the actual API response for debugging
+  console.log("=== RAW API RESPONSE DEBUG ===");
+  console.log("Raw data keys:", Object.keys(rawData));
+  console.log(
+    "Number of subjects:",
+    rawData.subjects ? rawData.subjects.length : 0
+  );
+  if (rawData.subjects && rawData.subjects.length > 0) {
+    console.log(
+      "First subject sample:",
+      JSON.stringify(rawData.subjects[0], null, 2)
+    );
+    if (rawData.subjects[0].items && rawData.subjects[0].items.length > 0) {
+      console.log(
+        "First item sample:",
+        JSON.stringify(rawData.subjects[0].items[0], null, 2)
+      );
+    }
+  }
+  console.log("=== END RAW API RESPONSE DEBUG ===");
+  console.log("API Response data structure:", {
+    hasSubjects: !!rawData.subjects,
+    pageCount: rawData.page_count,
+    lastUpdate: rawData.lastupdate,
+    compType: rawData.comptype,
+  });
+
+  if (rawData.subjects) {
+    const firstSubject = rawData.subjects[0];
+  }
 
-          console.log(`Fetching details for item ${item.itemId}...`);
-          const itemDetailsResponse = await fetch(
-            `https://25live.collegenet.com/25live/data/northwestern/run/event/detail/evdetail.json?event_id=${item.itemId}&caller=pro-EvdetailDao.get`,
-            {
-              headers: {
-                Cookie: cookieString,
-              },
-            }
-          );
-          const itemDetails = await itemDetailsResponse.json();
-          const eventWithDetails = {
-            ...item,
-            itemDetails: itemDetails.evdetail,
-          };
-          return eventWithDetails;
-        } catch (error) {
-          console.error(`Error processing item ${item.itemId}:`, error.message);
-          const eventWithDetails = {
-            ...item,
-            itemDetails: null,
-            error: error.message,
-          };
-          return eventWithDetails;
-        }
-      });
+  // Check if we have valid data
+  if (!rawData) {
+    console.error(
+      "Invalid data received. Full response:",
+      JSON.stringify(rawData, null, 2)
+    );
+    throw new Error(
+      "Invalid data received from API: " + JSON.stringify(rawData)
+    );
+  }
 
-      // Wait for all requests to complete
-      const finalData = await Promise.all(detailPromises);
+  // If no subjects, there are no events for this day - exit gracefully
+  if (!rawData.subjects) {
+    console.log("No events found for this date - exiting");
+    return;
+  }
 
-      // Log summary of detail fetching
-      const eventsWithDetails = finalData.filter((event) => event.itemDetails);
-      const eventsWithoutDetails = finalData.filter(
-        (event) => !event.itemDetails
+  // Log each subject's structure
+  rawData.subjects.forEach((subject, index) => {
+    if (subject.items) {
+      console.log("Items length:", subject.items.length);
+    }
+  });
+
+  // Process the data
+  const processedData = rawData.subjects
+    .filter((subject) => subject.items && Array.isArray(subject.items)) // Only keep subjects with items array
+    .reduce((acc, subject) => {
+      const subjectData = Object.entries(subject).reduce(
+        (obj, [key, value]) => {
+          if (key !== "items") {
+            obj[`subject_${key}`] = value;
+          }
+          return obj;
+        },
+        {}
       );
 
-      console.log(`Detail fetching summary:`);
-      console.log(`- Total events: ${finalData.length}`);
-      console.log(`- Events with details: ${eventsWithDetails.length}`);
-      console.log(`- Events without details: ${eventsWithoutDetails.length}`);
+      const itemsWithSubject = subject.items.map((item) => ({
+        ...item,
+        ...subjectData,
+      }));
+      return [...acc, ...itemsWithSubject];
+    }, []);
+  console.log(`Processing ${processedData.length} items...`);
+
+  // Log some sample data to understand structure
+  if (processedData.length > 0) {
+    console.log("Sample event structure:", {
+      itemId: processedData[0].itemId,
+      itemName: processedData[0].itemName,
+      subject_itemName: processedData[0].subject_itemName,
+      start: processedData[0].start,
+      end: processedData[0].end,
+    });
+  }
 
-      if (eventsWithoutDetails.length > 0) {
-        console.log("Events missing details:");
-        eventsWithoutDetails.forEach((event) => {
-          console.log(`  - ${event.itemId}: ${event.itemName}`);
-        });
+  // Make all API requests in parallel using fetch
+  const detailPromises = processedData.map(async (item, index) => {
+    try {
+      // Add small delay to prevent overwhelming the server
+      if (index > 0 && index % 5 === 0) {
+        await new Promise((resolve) => setTimeout(resolve, 200));
       }
 
-      return finalData;
-    } finally {
-      await context.close();
-    }
-  } catch (error) {
-    console.error("Error fetching data:", error);
-    // If browser is closed, try to reinitialize it
-    if (
-      error.message.includes("Target page, context or browser has been closed")
-    ) {
-      console.log("Browser was closed, reinitializing...");
-      await initBrowser();
-      // Retry the fetch
-      return fetchData(startDate);
+      console.log(`Fetching details for item ${item.itemId}...`);
+      const itemDetailsResponse = await fetch(
+        `https://25live.collegenet.com/25live/data/northwestern/run/event/detail/evdetail.json?event_id=${item.itemId}&caller=pro-EvdetailDao.get`,
+        {
+          headers: {
+            Cookie: cookieString,
+          },
+        }
+      );
+      const itemDetails = await itemDetailsResponse.json();
+      const eventWithDetails = {
+        ...item,
+        itemDetails: itemDetails.evdetail,
+      };
+      return eventWithDetails;
+    } catch (error) {
+      console.error(`Error processing item ${item.itemId}:`, error.message);
+      const eventWithDetails = {
+        ...item,
+        itemDetails: null,
+        error: error.message,
+      };
+      return eventWithDetails;
     }
-    throw error;
+  });
+
+  // Wait for all requests to complete
+  const finalData = await Promise.all(detailPromises);
+
+  // Log summary of detail fetching
+  const eventsWithDetails = finalData.filter((event) => event.itemDetails);
+  const eventsWithoutDetails = finalData.filter((event) => !event.itemDetails);
+
+  console.log(`Detail fetching summary:`);
+  console.log(`- Total events: ${finalData.length}`);
+  console.log(`- Events with details: ${eventsWithDetails.length}`);
+  console.log(`- Events without details: ${eventsWithoutDetails.length}`);
+
+  if (eventsWithoutDetails.length > 0) {
+    console.log("Events missing details:");
+    eventsWithoutDetails.forEach((event) => {
+      console.log(`  - ${event.itemId}: ${event.itemName}`);
+    });
+  }
+
+  return finalData;
+}
+
+/**
+ * Fetch, transform and save a single date. Throws on failure so the caller
+ * can decide whether to retry or move on to the next date.
+ * @param {Object} storage - Storage backend from createStorage()
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} cookieString - Cookie header produced by authenticate()
+ * @param {Object} options - Result of parseRunOptions
+ * @returns {Promise<{ date: string, eventCount: number, plan: Object }>}
+ */
+async function scrapeDate(storage, date, cookieString, options) {
+  console.log(`Scraping data for ${date}`);
+
+  const scrapedAt = new Date().toISOString();
+  const data = await fetchEventsData(date, cookieString);
+
+  // Process the data to extract additional properties
+  const processedData = transformRawEventsToEvents(data, {
+    stages: options.stages,
+  });
+
+  // Recording checks etc. for the technicians
+  const tasks = transformEventsToTasks(processedData);
+
+  let plan;
+  if (options.dryRun) {
+    // Plan against what is stored, but leave storage untouched
+    plan = await planEvents(storage, processedData, date);
+    console.log(formatSyncPlan(plan, date));
+    console.log(formatTaskReport(await planTasks(storage, tasks, date), date));
+  } else {
+    // Save to the configured storage backend
+    plan = await saveEvents(storage, processedData, date, {
+      force: options.force,
+      scrapedAt,
+    });
+    await saveTasks(storage, tasks, date, { heldEventIds: plan.heldIds });
+    await saveSeries(
+      storage,
+      processedData.map((event) => event.item_id)
+    );
+    await saveInstructors(storage, processedData);
   }
+
+  return { date, eventCount: processedData.length, plan };
+}
+
+function writeJsonOutput(jsonOutput, results) {
+  const payload = JSON.stringify(
+    results
+      .filter((result) => result.ok)
+      .map((result) => summarizeSyncPlan(result.plan, result.date)),
+    null,
+    2
+  );
+
+  if (jsonOutput === "-") {
+    process.stdout.write(`${payload}\n`);
+  } else {
+    fs.writeFileSync(jsonOutput, payload);
+    console.log(`Wrote sync plan JSON to ${jsonOutput}`);
+  }
+}
+
+function logRunSummary(results) {
+  const succeeded = results.filter((result) => result.ok);
+  const failed = results.filter((result) => !result.ok);
+
+  console.log("=== SCRAPE SUMMARY ===");
+  console.log(`Dates attempted: ${results.length}`);
+  console.log(`Succeeded: ${succeeded.length}`);
+  succeeded.forEach((result) => {
+    console.log(`  - ${result.date}: ${result.eventCount} events`);
+  });
+  console.log(`Failed: ${failed.length}`);
+  failed.forEach((result) => {
+    console.log(`  - ${result.date}: ${result.error}`);
+  });
+  console.log("=== END SCRAPE SUMMARY ===");
 }
 
 (async () => {
   try {
-    const offset = parseInt(process.argv[2], 10); // from GitHub matrix
-    const date = dayjs().add(offset, "day").format("YYYY-MM-DD");
+    // Validate configuration
+    try {
+      config.validate();
+      console.log("Configuration validated successfully");
+    } catch (error) {
+      console.error("Configuration error:", error.message);
+      process.exit(1);
+    }
 
-    console.log(`Scraping data for ${date}`);
+    const storage = createStorage();
+    console.log(`Using storage backend: ${storage.name}`);
 
-    browser = await initBrowser();
-    const data = await fetchEventsData(date);
+    const args = process.argv.slice(2);
+    const options = parseRunOptions(args);
+    const { dates } = options;
+    if (options.dryRun) {
+      console.log("DRY RUN: nothing will be written to storage");
+    }
+    console.log(
+      `Scraping ${dates.length} date(s): ${dates[0]} to ${
+        dates[dates.length - 1]
+      }`
+    );
+
+    let cookieString = await authenticate();
 
-    // Process the data to extract additional properties
-    const processedData = transformRawEventsToEvents(data);
-    // Save to Supabase
-    await saveEventsToSupabase(processedData, date);
-    //const tasks = transformEventsToTasks(processedData);
-    //await saveTasksToSupabase(tasks, date);
+    const results = [];
+    let loginError = null;
+    for (const date of dates) {
+      try {
+        let outcome;
+        try {
+          outcome = await scrapeDate(storage, date, cookieString, options);
+        } catch (error) {
+          if (error.code !== SESSION_EXPIRED) {
+            throw error;
+          }
+          // Sessions can time out part way through a long range; log in again once
+          console.log(
+            `Session expired while scraping ${date}, logging in again...`
+          );
+          cookieString = await authenticate({ forceLogin: true });
+          outcome = await scrapeDate(storage, date, cookieString, options);
+        }
+        results.push({ ok: true, ...outcome });
+      } catch (error) {
+        console.error(`Error scraping ${date}:`, error);
+        results.push({ ok: false, date, error: error.message });
+        // Without a session every remaining date would fail the same way
+        if (error instanceof LoginError) {
+          loginError = error;
+          break;
+        }
+      }
+    }
+
+    logRunSummary(results);
+
+    if (options.jsonOutput) {
+      writeJsonOutput(options.jsonOutput, results);
+    }
+
+    if (loginError) {
+      process.exitCode = loginError.constructor.exitCode;
+    } else if (results.some((result) => !result.ok)) {
+      process.exitCode = 1;
+    }
   } catch (error) {
     console.error("Error in main process:", error);
-    process.exit(1);
+    process.exitCode =
+      error instanceof LoginError ? error.constructor.exitCode : 1;
   } finally {
     if (browser) {
       await browser.close();
@@ -0,0 +1,147 @@
+// seriesPlan.js
+const dayjs = require("dayjs");
+const { ACTIVE, CANCELLED } = require("./syncPlan");
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const weekdayOf = (date) => dayjs(date).day();
+const shortTime = (time) => String(time || "").slice(0, 5);
+
+// Sessions of one series that run in several rooms at once (e.g. a section
+// booked in two partitions) share a slot and a session number
+const slotKey = (event) => `${event.date}T${event.start_time}`;
+
+const mostCommon = (values) => {
+  const counts = new Map();
+  values.forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+};
+
+/**
+ * The weekdays a series meets on: every weekday with at least two sessions,
+ * or all of them while the series is too short to tell.
+ * @param {Array<string>} dates - YYYY-MM-DD of the active sessions
+ * @returns {Array<number>} Day numbers (0 = Sunday), ascending
+ */
+function patternWeekdays(dates) {
+  const counts = new Map();
+  dates.forEach((date) => {
+    const day = weekdayOf(date);
+    counts.set(day, (counts.get(day) || 0) + 1);
+  });
+  const regular = [...counts.keys()].filter((day) => counts.get(day) >= 2);
+  return (regular.length > 0 ? regular : [...counts.keys()]).sort();
+}
+
+/**
+ * Build one series from every stored event of a 25Live event (item_id)
+ * across dates. Active sessions are numbered in date/time order; cancelled
+ * ones are counted but not numbered. Dates on the meeting pattern between
+ * the first and last session without an active session are listed in
+ * missing_dates (dropped sessions, or holidays), and sessions off the
+ * pattern in extra_dates (added sessions).
+ * @param {string} seriesId - The item_id shared by the events
+ * @param {Array<Object>} events - Stored events with that item_id
+ * @returns {{ series: Object, sessions: Array<{ id: string, session_number: number|null }> }}
+ */
+function buildSeries(seriesId, events) {
+  const active = events.filter((event) => (event.status ?? ACTIVE) === ACTIVE);
+  const cancelled = events.filter((event) => event.status === CANCELLED);
+
+  const slots = [...new Set(active.map(slotKey))].sort();
+  const numbers = new Map(slots.map((slot, index) => [slot, index + 1]));
+  const dates = [...new Set(active.map((event) => event.date))].sort();
+  const weekdays = patternWeekdays(dates);
+
+  const missingDates = [];
+  if (dates.length > 0) {
+    const last = dayjs(dates[dates.length - 1]);
+    for (
+      let day = dayjs(dates[0]);
+      !day.isAfter(last);
+      day = day.add(1, "day")
+    ) {
+      const date = day.format("YYYY-MM-DD");
+      if (weekdays.includes(day.day()) && !dates.includes(date)) {
+        missingDates.push(date);
+      }
+    }
+  }
+
+  const time = mostCommon(
+    active.map(
+      (event) => `${shortTime(event.start_time)}-${shortTime(event.end_time)}`
+    )
+  );
+  const latest = [...active, ...cancelled].sort((a, b) =>
+    slotKey(b).localeCompare(slotKey(a))
+  )[0];
+
+  return {
+    series: {
+      id: seriesId,
+      event_name: latest?.event_name ?? null,
+      organization: latest?.organization ?? null,
+      meeting_pattern:
+        dates.length > 0
+          ? `${weekdays.map((day) => WEEKDAYS[day]).join("/")} ${time}`
+          : null,
+      first_date: dates[0] ?? null,
+      last_date: dates[dates.length - 1] ?? null,
+      session_count: slots.length,
+      cancelled_count: cancelled.length,
+      missing_dates: missingDates,
+      extra_dates: dates.filter((date) => !weekdays.includes(weekdayOf(date))),
+      updated_at: new Date().toISOString(),
+    },
+    sessions: events.map((event) => ({
+      id: event.id,
+      session_number:
+        (event.status ?? ACTIVE) === ACTIVE
+          ? numbers.get(slotKey(event))
+          : null,
+    })),
+  };
+}
+
+/**
+ * Build the series for a batch of stored events, grouped by item_id.
+ * @param {Array<Object>} events
+ * @returns {Array<{ series: Object, sessions: Array<Object> }>}
+ */
+function planSeries(events) {
+  const byItemId = new Map();
+  events
+    .filter((event) => event.item_id !== null && event.item_id !== undefined)
+    .forEach((event) => {
+      const key = String(event.item_id);
+      if (!byItemId.has(key)) {
+        byItemId.set(key, []);
+      }
+      byItemId.get(key).push(event);
+    });
+
+  return [...byItemId.entries()].map(([seriesId, seriesEvents]) =>
+    buildSeries(seriesId, seriesEvents)
+  );
+}
+
+/**
+ * "Session 4 of 10" for an event, given its series.
+ * @param {Object} event - Stored event with session_number
+ * @param {Object} series
+ * @returns {string|null}
+ */
+function describeSession(event, series) {
+  if (!event.session_number || !series) {
+    return null;
+  }
+  return `Session ${event.session_number} of ${series.session_count}`;
+}
+
+module.exports = {
+  patternWeekdays,
+  buildSeries,
+  planSeries,
+  describeSession,
+};
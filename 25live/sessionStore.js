@@ -0,0 +1,162 @@
+// sessionStore.js
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+
+const ALGORITHM = "aes-256-gcm";
+const STORE_VERSION = 1;
+
+/**
+ * Derive a 32 byte AES key from the configured secret so any passphrase
+ * length can be used as TWENTYFIVELIVE_SESSION_KEY.
+ * @param {string} secret
+ * @returns {Buffer}
+ */
+function deriveKey(secret) {
+  return crypto.createHash("sha256").update(secret, "utf8").digest();
+}
+
+function isEnabled() {
+  return Boolean(config.twentyFiveLive.session.key);
+}
+
+function storePath() {
+  return path.resolve(config.twentyFiveLive.session.file);
+}
+
+/**
+ * Encrypt and write a Playwright storage state to disk.
+ * @param {Object} storageState - Result of browserContext.storageState()
+ */
+function saveSession(storageState) {
+  if (!isEnabled()) {
+    console.log("Session store disabled (no TWENTYFIVELIVE_SESSION_KEY)");
+    return;
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(
+    ALGORITHM,
+    deriveKey(config.twentyFiveLive.session.key),
+    iv
+  );
+  const encrypted = Buffer.concat([
+    cipher.update(JSON.stringify(storageState), "utf8"),
+    cipher.final(),
+  ]);
+
+  const payload = {
+    version: STORE_VERSION,
+    savedAt: new Date().toISOString(),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: encrypted.toString("base64"),
+  };
+
+  fs.writeFileSync(storePath(), JSON.stringify(payload), { mode: 0o600 });
+  console.log(`Saved 25Live session to ${storePath()}`);
+}
+
+/**
+ * Read and decrypt the stored storage state.
+ * A missing, corrupt or undecryptable store (e.g. after a key rotation) is
+ * treated as "no session" so the caller just logs in again.
+ * @returns {Object|null} Playwright storage state, or null
+ */
+function loadSession() {
+  if (!isEnabled() || !fs.existsSync(storePath())) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(fs.readFileSync(storePath(), "utf8"));
+    if (payload.version !== STORE_VERSION) {
+      console.log(`Ignoring session store with version ${payload.version}`);
+      return null;
+    }
+
+    const decipher = crypto.createDecipheriv(
+      ALGORITHM,
+      deriveKey(config.twentyFiveLive.session.key),
+      Buffer.from(payload.iv, "base64")
+    );
+    decipher.setAuthTag(Buffer.from(payload.tag, "base64"));
+    const decrypted = Buffer.concat([
+      decipher.update(Buffer.from(payload.data, "base64")),
+      decipher.final(),
+    ]);
+
+    console.log(`Loaded 25Live session saved at ${payload.savedAt}`);
+    return JSON.parse(decrypted.toString("utf8"));
+  } catch (error) {
+    console.warn("Could not read stored 25Live session:", error.message);
+    return null;
+  }
+}
+
+function clearSession() {
+  if (fs.existsSync(storePath())) {
+    fs.unlinkSync(storePath());
+  }
+}
+
+/**
+ * Build a Cookie header from a storage state, skipping cookies that have
+ * already expired. Session cookies (expires === -1) are kept.
+ * @param {Object} storageState
+ * @returns {string}
+ */
+function toCookieString(storageState) {
+  const nowSeconds = Date.now() / 1000;
+  return (storageState?.cookies || [])
+    .filter((cookie) => cookie.expires === -1 || cookie.expires > nowSeconds)
+    .map((cookie) => `${cookie.name}=${cookie.value}`)
+    .join("; ");
+}
+
+/**
+ * Cheaply check whether a cookie string is still signed in by requesting a
+ * single favorited space from the availability endpoint. Anonymous requests
+ * either get bounced to the sign-in page or come back with no favorites.
+ * @param {string} cookieString
+ * @returns {Promise<boolean>}
+ */
+async function isSessionValid(cookieString) {
+  if (!cookieString) {
+    return false;
+  }
+
+  const today = new Date().toISOString().split("T")[0];
+  const checkUrl = `${config.twentyFiveLive.apiEndpoint}/availability/availabilitydata.json?obj_cache_accl=0&start_dt=${today}T00:00:00&comptype=availability_home&compsubject=location&page_size=1&space_favorite=T&include=empty&caller=pro-AvailService.getData`;
+
+  try {
+    const response = await fetch(checkUrl, {
+      headers: {
+        Cookie: cookieString,
+        Accept: "application/json",
+        "X-Requested-With": "XMLHttpRequest",
+      },
+      redirect: "manual",
+    });
+
+    const contentType = response.headers.get("content-type") || "";
+    if (!response.ok || !contentType.includes("json")) {
+      return false;
+    }
+
+    const data = await response.json();
+    return Array.isArray(data?.subjects) && data.subjects.length > 0;
+  } catch (error) {
+    console.warn("25Live session check failed:", error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  saveSession,
+  loadSession,
+  clearSession,
+  toCookieString,
+  isSessionValid,
+};
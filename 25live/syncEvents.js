@@ -0,0 +1,180 @@
+// syncEvents.js
+const { CANCELLED, planEventSync, eventsToUpsert } = require("./syncPlan");
+const { SyncGuardError, evaluateDeleteGuard } = require("./syncGuard");
+const { buildChangeRecords, recordEventChanges } = require("./eventHistory");
+
+const EVENTS_TABLE = "events";
+const SYNC_RUNS_TABLE = "sync_runs";
+
+/**
+ * Load the stored events for a date and plan the sync against them,
+ * without writing anything.
+ * @param {Object} storage - Storage backend from createStorage()
+ * @param {Array} processedEvents - Output of transformRawEventsToEvents
+ * @param {string} scrapeDate - YYYY-MM-DD
+ * @returns {Promise<Object>} Result of planEventSync
+ */
+async function planEvents(storage, processedEvents, scrapeDate) {
+  const existingEvents = await storage.select(EVENTS_TABLE, {
+    date: scrapeDate,
+  });
+  const plan = planEventSync(existingEvents, processedEvents);
+  plan.guard = evaluateDeleteGuard(plan);
+  return plan;
+}
+
+/**
+ * Append a row to the sync runs table. Failing to log must never hide the
+ * outcome of the sync itself, so errors are only reported.
+ * @param {Object} storage
+ * @param {Object} run
+ */
+async function recordSyncRun(storage, run) {
+  try {
+    await storage.insert(SYNC_RUNS_TABLE, [
+      { ...run, created_at: new Date().toISOString() },
+    ]);
+  } catch (error) {
+    console.error("Could not record sync run:", error.message);
+  }
+}
+
+/**
+ * Replace the stored events for a date with the freshly scraped ones: rows
+ * that are no longer in 25Live are marked cancelled (never hard-deleted, so
+ * anything linked to them survives) and everything else is upserted, which
+ * also restores cancelled events that reappear. Old cancellations are purged
+ * separately by purgeCancelledEvents.js.
+ *
+ * If the cancellations trip the mass-deletion guard the sync is either aborted
+ * (SyncGuardError, nothing written) or quarantined (cancellations held back),
+ * depending on config.sync.guardMode, unless `force` is set. Every sync is
+ * recorded in the sync_runs table, and the column-level changes it made are
+ * appended to event_changes.
+ * @param {Object} storage - Storage backend from createStorage()
+ * @param {Array} processedEvents - Output of transformRawEventsToEvents
+ * @param {string} scrapeDate - YYYY-MM-DD
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Bypass the mass-deletion guard
+ * @param {string} [options.scrapedAt] - ISO timestamp stamped on change records
+ * @returns {Promise<Object>} The plan that was applied, with `heldIds` set to
+ *   the cancellations a quarantine held back
+ */
+async function saveEvents(
+  storage,
+  processedEvents,
+  scrapeDate,
+  { force = false, scrapedAt = new Date().toISOString() } = {}
+) {
+  try {
+    console.log(
+      `Saving ${processedEvents.length} events to ${storage.name}...`
+    );
+
+    const plan = await planEvents(storage, processedEvents, scrapeDate);
+
+    plan.skipped.forEach((event) => {
+      console.warn("Skipping event with missing ID:", {
+        id: event.id,
+        item_id: event.item_id,
+        item_id2: event.item_id2,
+      });
+    });
+
+    console.log(
+      `Sync plan: ${plan.inserts.length} new, ${plan.updates.length} changed, ${plan.unchanged.length} unchanged, ${plan.cancellations.length} cancelled, ${plan.restores.length} restored`
+    );
+
+    const { guard } = plan;
+    const cancelledIds = plan.cancellations.map((row) => row.id);
+    const run = {
+      date: scrapeDate,
+      status: "applied",
+      reason: null,
+      existing_count: guard.existingCount,
+      insert_count: plan.inserts.length,
+      update_count: plan.updates.length,
+      delete_count: guard.deleteCount,
+      held_ids: [],
+    };
+
+    let applyCancellations = true;
+    if (guard.blocked && force) {
+      console.warn(
+        `Mass-deletion guard overridden with --force: ${guard.reason}`
+      );
+      run.status = "forced";
+      run.reason = guard.reason;
+    } else if (guard.blocked) {
+      run.reason = guard.reason;
+      run.held_ids = cancelledIds;
+
+      if (guard.mode !== "quarantine") {
+        run.status = "blocked";
+        await recordSyncRun(storage, run);
+        throw new SyncGuardError(
+          `Sync for ${scrapeDate} blocked: ${guard.reason}. Re-run with --force if this is expected.`,
+          guard
+        );
+      }
+
+      console.warn(
+        `Sync for ${scrapeDate} quarantined: ${guard.reason}. Holding back ${cancelledIds.length} cancellations.`
+      );
+      run.status = "quarantined";
+      applyCancellations = false;
+    }
+    plan.heldIds = applyCancellations ? [] : cancelledIds;
+
+    if (applyCancellations && cancelledIds.length > 0) {
+      // Soft-delete the events that no longer exist in 25Live
+      const cancelled = await storage.update(
+        EVENTS_TABLE,
+        { id: cancelledIds },
+        { status: CANCELLED, cancelled_at: scrapedAt, updated_at: scrapedAt }
+      );
+      console.log(`Cancelled ${cancelled.length} events no longer in 25Live`);
+    }
+
+    if (plan.restores.length > 0) {
+      console.log(
+        `Restoring ${plan.restores.length} previously cancelled events`
+      );
+    }
+
+    // Then upsert the current events (this will update existing ones and add new ones)
+    const rowsToUpsert = eventsToUpsert(plan);
+    const result = await storage.upsert(EVENTS_TABLE, rowsToUpsert, {
+      key: "id",
+    });
+
+    console.log(`Successfully upserted ${result.length} events`);
+    if (result.length > 0) {
+      console.log("Sample upserted event:", JSON.stringify(result[0], null, 2));
+    } else if (rowsToUpsert.length > 0) {
+      console.warn(
+        "WARNING: Upsert returned no data - this might indicate the events were not actually saved!"
+      );
+    }
+
+    await recordEventChanges(
+      storage,
+      buildChangeRecords(plan, scrapedAt, {
+        includeCancellations: applyCancellations,
+      })
+    );
+
+    await recordSyncRun(storage, run);
+    return plan;
+  } catch (error) {
+    console.error(`Error saving events to ${storage.name}:`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  EVENTS_TABLE,
+  SYNC_RUNS_TABLE,
+  planEvents,
+  saveEvents,
+};
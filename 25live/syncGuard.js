@@ -0,0 +1,68 @@
+// syncGuard.js
+const config = require("../config");
+
+/**
+ * Thrown when a sync would cancel more events than the guard allows and the
+ * guard is configured to abort.
+ */
+class SyncGuardError extends Error {
+  constructor(message, guard) {
+    super(message);
+    this.name = "SyncGuardError";
+    this.guard = guard;
+  }
+}
+
+/**
+ * Decide whether a planned sync removes suspiciously many events from the
+ * schedule. A partial API response or a transform bug looks exactly like
+ * "every event was cancelled", so large cancellation sets are held back
+ * unless explicitly forced.
+ * @param {Object} plan - Result of planEventSync
+ * @param {Object} [options] - Overrides for config.sync
+ * @returns {{
+ *   blocked: boolean,
+ *   reason: string|null,
+ *   deleteCount: number,
+ *   existingCount: number,
+ *   deletePercent: number,
+ *   mode: string,
+ * }}
+ */
+function evaluateDeleteGuard(plan, options = {}) {
+  const { maxDeletes, maxDeletePercent, minRowsForPercent, guardMode } = {
+    ...config.sync,
+    ...options,
+  };
+
+  const deleteCount = plan.cancellations.length;
+  const { existingCount } = plan;
+  const deletePercent =
+    existingCount > 0 ? (deleteCount / existingCount) * 100 : 0;
+
+  let reason = null;
+  if (deleteCount > maxDeletes) {
+    reason = `${deleteCount} cancellations exceeds the limit of ${maxDeletes}`;
+  } else if (
+    existingCount >= minRowsForPercent &&
+    deletePercent > maxDeletePercent
+  ) {
+    reason = `${deletePercent.toFixed(
+      1
+    )}% of ${existingCount} active events would be cancelled (limit ${maxDeletePercent}%)`;
+  }
+
+  return {
+    blocked: reason !== null,
+    reason,
+    deleteCount,
+    existingCount,
+    deletePercent,
+    mode: guardMode,
+  };
+}
+
+module.exports = {
+  SyncGuardError,
+  evaluateDeleteGuard,
+};
@@ -0,0 +1,160 @@
+// syncInstructors.js
+const {
+  cleanInstructorText,
+  isPlausibleName,
+  resolveInstructor,
+  splitInstructorList,
+} = require("./utils/instructors");
+
+const INSTRUCTORS_TABLE = "instructors";
+const EVENT_INSTRUCTORS_TABLE = "event_instructors";
+
+const linkId = (eventId, instructorId) => `${eventId}:${instructorId}`;
+
+// The fuller spelling wins ("Jane Q. Doe" over "Jane Doe")
+const preferredName = (current, candidate) =>
+  !current || candidate.length > current.length ? candidate : current;
+
+/**
+ * Resolve the instructor_names of a batch of events to directory entries.
+ * A merged event carries the instructors of all its sources, and an entry
+ * listing several people ("Jane Doe, John Roe") links each of them.
+ * Entries that look like names but cannot be split into people ("Doe,
+ * Jane, Roe") are returned as unparsed; placeholders such as "TBA" are not.
+ * @param {Array<Object>} events - Output of transformRawEventsToEvents
+ * @param {Map} [aliases] - Passed to resolveInstructor
+ * @returns {{ instructors: Map<string, { id: string, display_name: string, aliases: Array<string> }>,
+ *   links: Array<{ id: string, event_id: string, instructor_id: string, position: number }>,
+ *   unparsed: Array<{ event_id: string, spelling: string }> }}
+ */
+function planInstructors(events, aliases) {
+  const instructors = new Map();
+  const links = [];
+  const unparsed = [];
+
+  events.forEach((event) => {
+    const seen = new Set();
+    const spellings = (event.instructor_names || []).flatMap(
+      splitInstructorList
+    );
+    spellings.forEach((spelling) => {
+      const resolved = resolveInstructor(spelling, aliases);
+      if (!resolved) {
+        if (isPlausibleName(cleanInstructorText(spelling))) {
+          unparsed.push({ event_id: event.id, spelling });
+        }
+        return;
+      }
+
+      const entry = instructors.get(resolved.id) || {
+        id: resolved.id,
+        display_name: null,
+        aliases: [],
+      };
+      entry.display_name = preferredName(
+        entry.display_name,
+        resolved.displayName
+      );
+      if (!entry.aliases.includes(resolved.spelling)) {
+        entry.aliases.push(resolved.spelling);
+      }
+      instructors.set(resolved.id, entry);
+
+      // One link per instructor even if the event lists two spellings
+      if (seen.has(resolved.id)) {
+        return;
+      }
+      seen.add(resolved.id);
+
+      links.push({
+        id: linkId(event.id, resolved.id),
+        event_id: event.id,
+        instructor_id: resolved.id,
+        position: seen.size,
+      });
+    });
+  });
+
+  return { instructors, links, unparsed };
+}
+
+/**
+ * Store the instructors of the synced events and link each event to them.
+ * Spellings already stored for an instructor are kept alongside the new
+ * ones, and links of these events to instructors no longer listed are
+ * removed.
+ * @param {Object} storage - Storage backend from createStorage()
+ * @param {Array<Object>} events - Output of transformRawEventsToEvents
+ * @returns {Promise<{ instructors: number, links: number, removed: number }>}
+ */
+async function saveInstructors(storage, events) {
+  try {
+    const { instructors, links, unparsed } = planInstructors(events);
+    const eventIds = events.map((event) => event.id);
+
+    if (unparsed.length > 0) {
+      console.warn(
+        `Could not read ${unparsed.length} instructor name(s); their events are not linked to them:`,
+        unparsed
+      );
+    }
+
+    if (instructors.size > 0) {
+      const stored = await storage.select(INSTRUCTORS_TABLE, {
+        id: [...instructors.keys()],
+      });
+      stored.forEach((row) => {
+        const entry = instructors.get(row.id);
+        entry.display_name = preferredName(
+          row.display_name,
+          entry.display_name
+        );
+        entry.aliases = [
+          ...new Set([...(row.aliases || []), ...entry.aliases]),
+        ];
+      });
+
+      const now = new Date().toISOString();
+      await storage.upsert(
+        INSTRUCTORS_TABLE,
+        [...instructors.values()].map((entry) => ({
+          ...entry,
+          updated_at: now,
+        })),
+        { key: "id" }
+      );
+    }
+
+    const linkIds = new Set(links.map((link) => link.id));
+    const staleIds = eventIds.length
+      ? (await storage.select(EVENT_INSTRUCTORS_TABLE, { event_id: eventIds }))
+          .filter((link) => !linkIds.has(link.id))
+          .map((link) => link.id)
+      : [];
+    if (staleIds.length > 0) {
+      await storage.remove(EVENT_INSTRUCTORS_TABLE, { id: staleIds });
+    }
+    if (links.length > 0) {
+      await storage.upsert(EVENT_INSTRUCTORS_TABLE, links, { key: "id" });
+    }
+
+    console.log(
+      `Linked ${links.length} event instructors (${instructors.size} instructors, ${staleIds.length} stale links removed)`
+    );
+    return {
+      instructors: instructors.size,
+      links: links.length,
+      removed: staleIds.length,
+    };
+  } catch (error) {
+    console.error(`Error saving instructors to ${storage.name}:`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  INSTRUCTORS_TABLE,
+  EVENT_INSTRUCTORS_TABLE,
+  planInstructors,
+  saveInstructors,
+};
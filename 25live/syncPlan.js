@@ -0,0 +1,241 @@
+// syncPlan.js
+
+// Columns that change on every scrape (or are too large to diff usefully) and
+// so never count as an update on their own
+const IGNORED_DIFF_FIELDS = new Set(["updated_at", "raw"]);
+
+const ACTIVE = "active";
+const CANCELLED = "cancelled";
+
+/**
+ * Order-insensitive deep equality for JSON-like values. Stored rows come back
+ * from jsonb columns with their keys re-ordered, so JSON.stringify is not enough.
+ */
+function isDeepEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (a === null || b === null || a === undefined || b === undefined) {
+    return (a ?? null) === (b ?? null);
+  }
+  if (typeof a !== "object" || typeof b !== "object") {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  if (Array.isArray(a)) {
+    return (
+      a.length === b.length && a.every((item, i) => isDeepEqual(item, b[i]))
+    );
+  }
+
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every((key) => isDeepEqual(a[key], b[key]));
+}
+
+/**
+ * List the columns whose values differ between a stored row and its
+ * replacement. Only columns present on the new row are compared, because the
+ * upsert leaves any other stored column untouched.
+ * @param {Object} existingRow
+ * @param {Object} nextRow
+ * @returns {Array<{ field: string, from: *, to: * }>}
+ */
+function diffRow(existingRow, nextRow) {
+  return Object.keys(nextRow)
+    .filter((field) => !IGNORED_DIFF_FIELDS.has(field))
+    .filter((field) => !isDeepEqual(existingRow[field], nextRow[field]))
+    .map((field) => ({
+      field,
+      from: existingRow[field] ?? null,
+      to: nextRow[field] ?? null,
+    }));
+}
+
+/**
+ * Work out what syncing a day's scraped events would do to the stored rows.
+ * saveEvents applies exactly this plan, and --dry-run prints it instead.
+ *
+ * Events are never hard-deleted: stored rows that are missing from the scrape
+ * become cancellations, and cancelled rows that show up again are restored
+ * (they appear in `updates` too, since their status changes back).
+ * @param {Array} existingEvents - Rows currently stored for the date
+ * @param {Array} processedEvents - Output of transformRawEventsToEvents
+ * @returns {{
+ *   inserts: Array<Object>,
+ *   updates: Array<{ id: *, event: Object, changes: Array }>,
+ *   unchanged: Array<Object>,
+ *   cancellations: Array<Object>,
+ *   restores: Array<Object>,
+ *   skipped: Array<Object>,
+ *   existingCount: number,
+ * }}
+ */
+function planEventSync(existingEvents, processedEvents) {
+  const existingById = new Map(existingEvents.map((row) => [row.id, row]));
+  const plan = {
+    inserts: [],
+    updates: [],
+    unchanged: [],
+    cancellations: [],
+    restores: [],
+    skipped: [],
+    existingCount: 0,
+  };
+
+  const currentEventIds = new Set();
+  processedEvents.forEach((event) => {
+    if (!event.id) {
+      plan.skipped.push(event);
+      return;
+    }
+    currentEventIds.add(event.id);
+
+    const existing = existingById.get(event.id);
+    if (!existing) {
+      plan.inserts.push(event);
+      return;
+    }
+
+    if (existing.status === CANCELLED) {
+      plan.restores.push(event);
+    }
+
+    const changes = diffRow(existing, event);
+    if (changes.length > 0) {
+      plan.updates.push({ id: event.id, event, changes });
+    } else {
+      plan.unchanged.push(event);
+    }
+  });
+
+  // Stored rows missing from the scrape are events that left 25Live; rows
+  // that are already cancelled stay as they are
+  const activeEvents = existingEvents.filter((row) => row.status !== CANCELLED);
+  plan.existingCount = activeEvents.length;
+  plan.cancellations = activeEvents.filter(
+    (row) => !currentEventIds.has(row.id)
+  );
+
+  return plan;
+}
+
+/**
+ * The upsert payload for a plan: every event that has an id, so unchanged
+ * rows still get their updated_at refreshed.
+ * @param {Object} plan - Result of planEventSync
+ * @returns {Array<Object>}
+ */
+function eventsToUpsert(plan) {
+  return [
+    ...plan.inserts,
+    ...plan.updates.map((update) => update.event),
+    ...plan.unchanged,
+  ];
+}
+
+const describeEvent = (event) =>
+  `${event.id} ${event.start_time || "??:??"}-${event.end_time || "??:??"} ${
+    event.room_name || "(no room)"
+  } ${event.event_name || "(unnamed)"}`;
+
+const formatValue = (value) => {
+  const text = JSON.stringify(value);
+  return text && text.length > 80 ? `${text.slice(0, 77)}...` : text;
+};
+
+/**
+ * Render a plan as a human-readable report.
+ * @param {Object} plan - Result of planEventSync
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string}
+ */
+function formatSyncPlan(plan, date) {
+  const lines = [
+    `=== SYNC PLAN for ${date} ===`,
+    `Insert: ${plan.inserts.length}, Update: ${plan.updates.length}, Cancel: ${plan.cancellations.length}, Restore: ${plan.restores.length}, Unchanged: ${plan.unchanged.length}`,
+  ];
+
+  if (plan.skipped.length > 0) {
+    lines.push(`Skipped (missing id): ${plan.skipped.length}`);
+  }
+
+  if (plan.guard?.blocked) {
+    lines.push(
+      `Mass-deletion guard would ${
+        plan.guard.mode === "quarantine" ? "quarantine" : "block"
+      } this sync: ${plan.guard.reason}`
+    );
+  }
+
+  if (plan.inserts.length > 0) {
+    lines.push("", "Would insert:");
+    plan.inserts.forEach((event) => lines.push(`  + ${describeEvent(event)}`));
+  }
+
+  if (plan.updates.length > 0) {
+    lines.push("", "Would update:");
+    plan.updates.forEach(({ event, changes }) => {
+      lines.push(`  ~ ${describeEvent(event)}`);
+      changes.forEach(({ field, from, to }) => {
+        lines.push(
+          `      ${field}: ${formatValue(from)} -> ${formatValue(to)}`
+        );
+      });
+    });
+  }
+
+  if (plan.cancellations.length > 0) {
+    lines.push("", "Would cancel:");
+    plan.cancellations.forEach((row) =>
+      lines.push(`  - ${describeEvent(row)}`)
+    );
+  }
+
+  if (plan.restores.length > 0) {
+    lines.push("", "Would restore:");
+    plan.restores.forEach((event) => lines.push(`  ^ ${describeEvent(event)}`));
+  }
+
+  lines.push(`=== END SYNC PLAN for ${date} ===`);
+  return lines.join("\n");
+}
+
+/**
+ * A JSON-friendly summary of a plan: ids plus the field-level changes,
+ * without the full event payloads.
+ * @param {Object} plan - Result of planEventSync
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Object}
+ */
+function summarizeSyncPlan(plan, date) {
+  return {
+    date,
+    counts: {
+      insert: plan.inserts.length,
+      update: plan.updates.length,
+      cancel: plan.cancellations.length,
+      restore: plan.restores.length,
+      unchanged: plan.unchanged.length,
+      skipped: plan.skipped.length,
+    },
+    inserts: plan.inserts.map((event) => event.id),
+    updates: plan.updates.map(({ id, changes }) => ({ id, changes })),
+    cancellations: plan.cancellations.map((row) => row.id),
+    restores: plan.restores.map((event) => event.id),
+    guard: plan.guard || null,
+  };
+}
+
+module.exports = {
+  ACTIVE,
+  CANCELLED,
+  IGNORED_DIFF_FIELDS,
+  isDeepEqual,
+  diffRow,
+  planEventSync,
+  eventsToUpsert,
+  formatSyncPlan,
+  summarizeSyncPlan,
+};
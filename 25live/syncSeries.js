@@ -0,0 +1,88 @@
+// syncSeries.js
+const { EVENTS_TABLE } = require("./syncEvents");
+const { planSeries } = require("./seriesPlan");
+
+const SERIES_TABLE = "event_series";
+
+/**
+ * Rebuild the series of the given 25Live events from every stored event
+ * with the same item_id (on any date), then store the series and each
+ * event's series_id and session_number. Run after saveEvents, so a day's
+ * scrape renumbers the whole series when a session was added or dropped.
+ * @param {Object} storage - Storage backend from createStorage()
+ * @param {Array} itemIds - item_id of the events just synced
+ * @returns {Promise<Array<Object>>} The stored series rows
+ */
+async function saveSeries(storage, itemIds) {
+  const uniqueIds = [...new Set(itemIds)].filter(
+    (itemId) => itemId !== null && itemId !== undefined
+  );
+  if (uniqueIds.length === 0) {
+    return [];
+  }
+
+  try {
+    const events = await storage.select(EVENTS_TABLE, { item_id: uniqueIds });
+    const plans = planSeries(events);
+    const storedById = new Map(events.map((event) => [event.id, event]));
+
+    await storage.upsert(
+      SERIES_TABLE,
+      plans.map(({ series }) => series),
+      { key: "id" }
+    );
+
+    // Only touch the events whose numbering moved, grouped per value
+    const patches = new Map();
+    plans.forEach(({ series, sessions }) => {
+      sessions.forEach(({ id, session_number }) => {
+        const stored = storedById.get(id);
+        if (
+          stored.series_id === series.id &&
+          (stored.session_number ?? null) === session_number
+        ) {
+          return;
+        }
+        const key = `${series.id}\u0000${session_number}`;
+        if (!patches.has(key)) {
+          patches.set(key, {
+            ids: [],
+            patch: { series_id: series.id, session_number },
+          });
+        }
+        patches.get(key).ids.push(id);
+      });
+    });
+    for (const { ids, patch } of patches.values()) {
+      await storage.update(EVENTS_TABLE, { id: ids }, patch);
+    }
+
+    const renumbered = [...patches.values()].reduce(
+      (total, { ids }) => total + ids.length,
+      0
+    );
+    console.log(
+      `Updated ${plans.length} series (${renumbered} events renumbered)`
+    );
+    const withGaps = plans.filter(
+      ({ series }) => series.missing_dates.length > 0
+    );
+    if (withGaps.length > 0) {
+      console.log(
+        `  ${withGaps.length} series have dates without a session: ${withGaps
+          .map(({ series }) => series.id)
+          .join(", ")}`
+      );
+    }
+
+    return plans.map(({ series }) => series);
+  } catch (error) {
+    console.error(`Error saving series to ${storage.name}:`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  SERIES_TABLE,
+  saveSeries,
+};
@@ -0,0 +1,89 @@
+// syncTasks.js
+const {
+  TASK_CANCELLED,
+  planTaskReconciliation,
+  formatTaskReport,
+} = require("./taskPlan");
+
+const TASKS_TABLE = "tasks";
+
+/**
+ * Load the stored tasks for a date (and for the events being synced, in case
+ * any were filed under another date) and reconcile the generated tasks
+ * against them, without writing anything.
+ * @param {Object} storage - Storage backend from createStorage()
+ * @param {Array} tasks - Output of transformEventsToTasks
+ * @param {string} scrapeDate - YYYY-MM-DD
+ * @param {Object} [options] - Passed to planTaskReconciliation
+ * @returns {Promise<Object>} Result of planTaskReconciliation
+ */
+async function planTasks(storage, tasks, scrapeDate, options) {
+  const byDate = await storage.select(TASKS_TABLE, { date: scrapeDate });
+  const byEvent = await storage.select(TASKS_TABLE, {
+    event_id: [...new Set(tasks.map((task) => task.event_id))],
+  });
+  const existingTasks = [
+    ...new Map([...byDate, ...byEvent].map((task) => [task.id, task])).values(),
+  ];
+
+  return planTaskReconciliation(existingTasks, tasks, options);
+}
+
+/**
+ * Sync the generated tasks for a date into the tasks table. Task ids are
+ * deterministic (see generateTaskId), so re-running a day keeps the same
+ * rows instead of creating duplicates. Pending tasks that are no longer
+ * generated are cancelled rather than deleted, and tasks a technician has
+ * marked done are never modified.
+ * @param {Object} storage - Storage backend from createStorage()
+ * @param {Array} tasks - Output of transformEventsToTasks
+ * @param {string} scrapeDate - YYYY-MM-DD
+ * @param {Object} [options]
+ * @param {Array<string>} [options.heldEventIds] - Events whose cancellation
+ *   the sync guard held back; their tasks are not cancelled either
+ * @returns {Promise<Object>} The plan that was applied
+ */
+async function saveTasks(
+  storage,
+  tasks,
+  scrapeDate,
+  { heldEventIds = [] } = {}
+) {
+  try {
+    console.log(`Saving ${tasks.length} tasks to ${storage.name}...`);
+
+    const plan = await planTasks(storage, tasks, scrapeDate, {
+      heldEventIds: new Set(heldEventIds),
+    });
+
+    if (plan.cancellations.length > 0) {
+      const now = new Date().toISOString();
+      await storage.update(
+        TASKS_TABLE,
+        { id: plan.cancellations.map((task) => task.id) },
+        { status: TASK_CANCELLED, cancelled_at: now, updated_at: now }
+      );
+    }
+
+    // One upsert per kind: restores and refreshes leave out created_at (and
+    // refreshes the status), which must stay as stored rather than be
+    // written as null alongside the full rows of the inserts
+    for (const rows of [plan.inserts, plan.restores, plan.refreshes]) {
+      if (rows.length > 0) {
+        await storage.upsert(TASKS_TABLE, rows, { key: "id" });
+      }
+    }
+
+    console.log(formatTaskReport(plan, scrapeDate));
+    return plan;
+  } catch (error) {
+    console.error(`Error saving tasks to ${storage.name}:`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  TASKS_TABLE,
+  planTasks,
+  saveTasks,
+};
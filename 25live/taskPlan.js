@@ -0,0 +1,153 @@
+// taskPlan.js
+
+const TASK_PENDING = "pending";
+const TASK_DONE = "done";
+const TASK_CANCELLED = "cancelled";
+
+const emptyEventReport = (eventId) => ({
+  event_id: eventId,
+  added: [],
+  cancelled: [],
+  restored: [],
+  done: [],
+});
+
+/**
+ * Reconcile the tasks generated for a day against the stored ones, event by
+ * event, so a time change in 25Live moves the pending checks without losing
+ * the ones a technician already completed:
+ *  - generated tasks that are not stored yet are added (as pending)
+ *  - stored pending tasks that were not generated again are cancelled
+ *  - stored cancelled tasks that are generated again are restored
+ *  - stored done tasks are never modified, whatever was generated
+ * Because task ids encode the event, type and due time, a task that still
+ * falls inside its event keeps its id and is simply kept.
+ * @param {Array} existingTasks - Stored tasks for the day's events
+ * @param {Array} generatedTasks - Output of transformEventsToTasks
+ * @param {Object} [options]
+ * @param {Set<string>} [options.heldEventIds] - Events whose cancellation was
+ *   held back by the sync guard; their stored tasks are left alone
+ * @returns {{
+ *   inserts: Array<Object>,
+ *   refreshes: Array<Object>,
+ *   restores: Array<Object>,
+ *   cancellations: Array<Object>,
+ *   done: Array<Object>,
+ *   events: Array<Object>,
+ * }}
+ */
+function planTaskReconciliation(
+  existingTasks,
+  generatedTasks,
+  { heldEventIds = new Set() } = {}
+) {
+  const existingById = new Map(existingTasks.map((task) => [task.id, task]));
+  const generatedIds = new Set(generatedTasks.map((task) => task.id));
+  const reports = new Map();
+  const reportFor = (eventId) => {
+    if (!reports.has(eventId)) {
+      reports.set(eventId, emptyEventReport(eventId));
+    }
+    return reports.get(eventId);
+  };
+
+  const plan = {
+    inserts: [],
+    refreshes: [],
+    restores: [],
+    cancellations: [],
+    done: [],
+    events: [],
+  };
+
+  generatedTasks.forEach((task) => {
+    const existing = existingById.get(task.id);
+    if (!existing) {
+      plan.inserts.push({ ...task, status: TASK_PENDING, cancelled_at: null });
+      reportFor(task.event_id).added.push(task);
+      return;
+    }
+    if (existing.status === TASK_DONE) {
+      return;
+    }
+
+    // Keep the original creation time and let the status below decide
+    const { created_at, ...rest } = task;
+    if (existing.status === TASK_CANCELLED) {
+      plan.restores.push({ ...rest, status: TASK_PENDING, cancelled_at: null });
+      reportFor(task.event_id).restored.push(task);
+    } else {
+      plan.refreshes.push(rest);
+    }
+  });
+
+  existingTasks.forEach((task) => {
+    if (task.status === TASK_DONE) {
+      plan.done.push(task);
+      reportFor(task.event_id).done.push(task);
+      return;
+    }
+    if (
+      task.status === TASK_CANCELLED ||
+      generatedIds.has(task.id) ||
+      heldEventIds.has(task.event_id)
+    ) {
+      return;
+    }
+    plan.cancellations.push(task);
+    reportFor(task.event_id).cancelled.push(task);
+  });
+
+  // Only events where something actually moved are worth reporting
+  plan.events = [...reports.values()].filter(
+    (report) =>
+      report.added.length > 0 ||
+      report.cancelled.length > 0 ||
+      report.restored.length > 0
+  );
+
+  return plan;
+}
+
+const describeTasks = (tasks) =>
+  tasks.map((task) => `${task.task_type} ${task.time}`).join(", ");
+
+/**
+ * Render the per-event changes of a reconciliation as a human-readable report.
+ * @param {Object} plan - Result of planTaskReconciliation
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string}
+ */
+function formatTaskReport(plan, date) {
+  const lines = [
+    `=== TASK CHANGES for ${date} ===`,
+    `Add: ${plan.inserts.length}, Cancel: ${plan.cancellations.length}, Restore: ${plan.restores.length}, Kept: ${plan.refreshes.length}, Done (untouched): ${plan.done.length}`,
+  ];
+
+  plan.events.forEach((report) => {
+    lines.push(`  ${report.event_id}`);
+    if (report.added.length > 0) {
+      lines.push(`      + ${describeTasks(report.added)}`);
+    }
+    if (report.cancelled.length > 0) {
+      lines.push(`      - ${describeTasks(report.cancelled)}`);
+    }
+    if (report.restored.length > 0) {
+      lines.push(`      ^ ${describeTasks(report.restored)}`);
+    }
+    if (report.done.length > 0) {
+      lines.push(`      = done, left as is: ${describeTasks(report.done)}`);
+    }
+  });
+
+  lines.push(`=== END TASK CHANGES for ${date} ===`);
+  return lines.join("\n");
+}
+
+module.exports = {
+  TASK_PENDING,
+  TASK_DONE,
+  TASK_CANCELLED,
+  planTaskReconciliation,
+  formatTaskReport,
+};
@@ -1,13 +1,14 @@
-const { createRecordingTasks } = require('./utils/createRecordingTasks');
-function transformEventsToTasks(events) {
-    return events.map(event => {
-        event.resources.map(resource => {
-            const lowercaseItemName = resource.itemName.toLowerCase();
-            if (lowercaseItemName.includes('recording')) {
-                return createRecordingTasks(event, resource);
-            }
-        });
-    });
+const { generateTasks, loadTaskRules } = require('./utils/taskRules');
+
+/**
+ * Generate the technician tasks for a day's processed events by running the
+ * task rules (25live/definitions/taskRules.json) over them.
+ * @param {Array} events - Output of transformRawEventsToEvents
+ * @param {Array} [rules] - Compiled rules, defaults to loadTaskRules()
+ * @returns {Array<Object>} Task rows
+ */
+function transformEventsToTasks(events, rules = loadTaskRules()) {
+    return generateTasks(events, rules);
 }
 
 module.exports = {
@@ -1,5 +1,6 @@
 const {
-  generateDeterministicId,
+  generateEventId,
+  findIdCollisions,
   getEventType,
   getOrganization,
   getInstructorNames,
@@ -7,29 +8,75 @@ const {
   parseRoomName,
   parseEventResources,
   toTimeStrings,
+  getKecSessionType,
+  getHeadcounts,
+  getEventState,
+  getReservationTimes,
+  buildReservationReport,
 } = require("./utils");
+const { lookupRoom, loadRoomRegistry } = require("./utils/roomRegistry");
+const { getCourseInfo } = require("./utils/courseCodes");
+const { buildDetailValidationReport } = require("./utils/evdetail");
+const { parseTimeToSeconds } = require("./utils/taskRules");
+const { buildMergedEvent } = require("./utils/mergeEvents");
+const config = require("../config");
+
+// KEC sessions that are teaching time; everything else (meals, breaks,
+// networking...) is dropped by the dropNonAcademic stage
+const KEC_ACADEMIC_SESSION_TYPES = new Set([
+  "academic session",
+  "class session",
+]);
 
 /**
- * Combine KEC events that occur on the same day in the same room into single events
+ * Drop 25Live placeholders: private/closed blocks (itemId 0), rows without a
+ * reservation (itemId2 0) and combined spaces whose name contains "&" (the
+ * partitions are listed separately).
  * @param {Array} events - Array of processed events
- * @returns {Array} Array with KEC events combined and other events unchanged
+ * @returns {Array}
  */
-
-function removeKECNoAcademicEvents(events) {
-  return events.filter((event) => {
-    if (event.event_type !== "KEC") {
-      return true;
-    }
-    console.log(event.raw.itemDetails?.defn?.panel[1]?.item?.[0]?.itemName);
+function filterPlaceholderEvents(events) {
+  // Only filter itemId=0 if the event name is "(Private)" or "Closed" - we want to keep real events that happen to have itemId=0
+  const kept = events.filter(({ raw }) => {
+    const isPrivateEvent =
+      raw.itemId === 0 &&
+      (raw.itemName === "(Private)" || raw.itemName === "Closed");
     return (
-      event.raw.itemDetails?.defn?.panel[1]?.item?.[0]?.itemName ===
-        "<p>Academic Session</p>" ||
-      event.raw.itemDetails?.defn?.panel[1]?.item?.[0]?.itemName ===
-        "<p>Class Session</p>"
+      !isPrivateEvent &&
+      raw.itemId2 !== 0 &&
+      !raw.subject_itemName?.includes("&")
     );
   });
+
+  console.log(
+    `Filtered out ${
+      events.length - kept.length
+    } events with itemId/itemId2 equal to 0 or containing ampersand in room name`
+  );
+  return kept;
 }
 
+/**
+ * Drop KEC events whose session type is not teaching time.
+ * @param {Array} events - Array of processed events
+ * @returns {Array}
+ */
+function removeKECNoAcademicEvents(events) {
+  const kept = events.filter(
+    (event) =>
+      event.event_type !== "KEC" ||
+      KEC_ACADEMIC_SESSION_TYPES.has(getKecSessionType(event.raw))
+  );
+
+  console.log(`Dropped ${events.length - kept.length} non-academic KEC events`);
+  return kept;
+}
+
+/**
+ * Combine KEC events that occur on the same day in the same room into single events
+ * @param {Array} events - Array of processed events
+ * @returns {Array} Array with KEC events combined and other events unchanged
+ */
 function combineKECEvents(events) {
   console.log(`Combining KEC events by day and room...`);
 
@@ -80,16 +127,12 @@ function combineKECEvents(events) {
       }
     });
 
-    // Create combined event using the first event as template
-    const combinedEvent = {
-      ...eventGroup[0],
+    // Create combined event using the first event as template; instructors
+    // and resources are the union of all sessions
+    const combinedEvent = buildMergedEvent(eventGroup, {
       start_time: earliestStart,
       end_time: latestEnd,
-      instructor_names: null, // No instructor names for combined KEC events
-      resources: [], // No resources for combined KEC events
-      // Keep the same event_name (assuming all have same name as requested)
-      // Use the first event's ID but we could generate a new one if needed
-    };
+    });
 
     combinedKecEvents.push(combinedEvent);
     combineCount++;
@@ -106,14 +149,28 @@ function combineKECEvents(events) {
 }
 
 /**
- * Merge events from adjacent rooms that have the same event name and start time
- * Handles: 1420 & 1430 -> 1420&30, 2410A & 2410B -> 2410A&B, 2420A & 2420B -> 2420A&B, and 2430A & 2430B -> 2430A&B
+ * Merge events booked across every partition of a combinable room group
+ * (roomGroups in 25live/definitions/rooms.json) into one event in the group's
+ * combined room, e.g. GH 1420 + GH 1430 -> GH 1420&30. Partitions must share
+ * the event name and start time and may end up to the group's tolerance
+ * apart; the merged event ends at the latest of them. Events in only some
+ * partitions of a group, or whose end times are too far apart, are kept as
+ * they are and reported as partial occupancy.
  * @param {Array} events - Array of processed events
+ * @param {Array} [roomGroups] - Defaults to the room registry's groups
+ * @param {Object} [options]
+ * @param {number} [options.endToleranceMinutes] - For groups without their own
  * @returns {Array} Array with merged events
  */
-function mergeAdjacentRoomEvents(events) {
+function mergeAdjacentRoomEvents(
+  events,
+  roomGroups = loadRoomRegistry().groups,
+  { endToleranceMinutes = config.rooms.mergeEndToleranceMinutes } = {}
+) {
   console.log(
-    `Merging adjacent room events (1420 & 1430, 2410A & 2410B, 2420A & 2420B, 2430A & 2430B)...`
+    `Merging combinable room events (${roomGroups
+      .map((group) => group.code)
+      .join(", ")})...`
   );
 
   // Group events by date, event_name, and start_time to find potential matches
@@ -127,10 +184,7 @@ function mergeAdjacentRoomEvents(events) {
   }, {});
 
   const mergedEvents = [];
-  let mergeCount1420 = 0;
-  let mergeCount2410 = 0;
-  let mergeCount2420 = 0;
-  let mergeCount2430 = 0;
+  const mergeCounts = new Map(roomGroups.map((group) => [group.code, 0]));
 
   Object.values(eventGroups).forEach((eventGroup) => {
     if (eventGroup.length === 1) {
@@ -139,85 +193,78 @@ function mergeAdjacentRoomEvents(events) {
       return;
     }
 
-    // Look for 1420 and 1430 room pairs
-    const room1420 = eventGroup.find((e) => e.room_name === "GH 1420");
-    const room1430 = eventGroup.find((e) => e.room_name === "GH 1430");
-
-    // Look for 2410A and 2410B room pairs
-    const room2410A = eventGroup.find((e) => e.room_name === "GH 2410A");
-    const room2410B = eventGroup.find((e) => e.room_name === "GH 2410B");
+    const processedEvents = new Set(); // Track which events we've already merged
 
-    // Look for 2420A and 2420B room pairs
-    const room2420A = eventGroup.find((e) => e.room_name === "GH 2420A");
-    const room2420B = eventGroup.find((e) => e.room_name === "GH 2420B");
-
-    // Look for 2430A and 2430B room pairs
-    const room2430A = eventGroup.find((e) => e.room_name === "GH 2430A");
-    const room2430B = eventGroup.find((e) => e.room_name === "GH 2430B");
+    roomGroups.forEach((group) => {
+      const partitions = group.rooms.map((room) =>
+        eventGroup.find(
+          (event) => event.room_name === room && !processedEvents.has(event)
+        )
+      );
+      const booked = partitions.filter(Boolean);
 
-    let processedEvents = new Set(); // Track which events we've already processed
+      // A single partition on its own is just the smaller room being used
+      if (booked.length < 2) {
+        return;
+      }
 
-    if (room1420 && room1430) {
-      // Found a 1420/1430 pair! Merge them
-      const mergedEvent = {
-        ...room1420,
-        room_name: "GH 1420&30",
-      };
-      mergedEvents.push(mergedEvent);
-      mergeCount1420++;
-      processedEvents.add(room1420);
-      processedEvents.add(room1430);
-    }
+      const describe = () =>
+        `"${booked[0].event_name}" on ${booked[0].date} at ${
+          booked[0].start_time
+        } (${booked
+          .map((event) => `${event.room_name} until ${event.end_time}`)
+          .join(", ")})`;
+
+      if (booked.length < partitions.length) {
+        console.warn(
+          `Partial occupancy of ${group.code}: ${booked.length} of ${
+            partitions.length
+          } partitions booked for ${describe()}; not merged`
+        );
+        return;
+      }
 
-    if (room2410A && room2410B) {
-      // Found a 2410A/2410B pair! Merge them
-      const mergedEvent = {
-        ...room2410A,
-        room_name: "GH 2410A&B",
-      };
-      mergedEvents.push(mergedEvent);
-      mergeCount2410++;
-      console.log(
-        "Merged 2410A&B event:",
-        mergedEvent.event_name,
-        mergedEvent.event_type
-      );
-      processedEvents.add(room2410A);
-      processedEvents.add(room2410B);
-    } else if (room2410A || room2410B) {
-      // Only one room has an event - log this for debugging
-      const singleEvent = room2410A || room2410B;
-      console.log(
-        "Single room 2410 event (not merged):",
-        singleEvent.event_name,
-        singleEvent.event_type,
-        singleEvent.room_name
+      const toleranceSeconds =
+        (group.endTimeToleranceMinutes ?? endToleranceMinutes) * 60;
+      const endSeconds = booked.map((event) =>
+        parseTimeToSeconds(event.end_time)
       );
-    }
-
-    if (room2420A && room2420B) {
-      // Found a 2420A/2420B pair! Merge them
-      const mergedEvent = {
-        ...room2420A,
-        room_name: "GH 2420A&B",
-      };
-      mergedEvents.push(mergedEvent);
-      mergeCount2420++;
-      processedEvents.add(room2420A);
-      processedEvents.add(room2420B);
-    }
+      if (
+        Math.max(...endSeconds) - Math.min(...endSeconds) >
+        toleranceSeconds
+      ) {
+        console.warn(
+          `Partial occupancy of ${group.code}: end times differ by more than ${
+            toleranceSeconds / 60
+          } minutes for ${describe()}; not merged`
+        );
+        return;
+      }
 
-    if (room2430A && room2430B) {
-      // Found a 2430A/2430B pair! Merge them
-      const mergedEvent = {
-        ...room2430A,
-        room_name: "GH 2430A&B",
-      };
+      const latestEnd = booked.reduce(
+        (latest, event) => (event.end_time > latest ? event.end_time : latest),
+        booked[0].end_time
+      );
+      const capacities = booked.map((event) => event.room_capacity);
+
+      const mergedEvent = buildMergedEvent(booked, {
+        room_name: group.code,
+        room_display_name: group.displayName || group.code,
+        room_capacity: capacities.every((capacity) =>
+          Number.isInteger(capacity)
+        )
+          ? capacities.reduce((total, capacity) => total + capacity, 0)
+          : null,
+        // The whole room records only if every partition can
+        room_recording: booked.some((event) => event.room_recording === false)
+          ? false
+          : booked.every((event) => event.room_recording === true) || null,
+        end_time: latestEnd,
+      });
       mergedEvents.push(mergedEvent);
-      mergeCount2430++;
-      processedEvents.add(room2430A);
-      processedEvents.add(room2430B);
-    }
+      mergeCounts.set(group.code, mergeCounts.get(group.code) + 1);
+      booked.forEach((event) => processedEvents.add(event));
+    });
 
     // Add any other events in this group that weren't processed in merging
     eventGroup.forEach((event) => {
@@ -228,13 +275,48 @@ function mergeAdjacentRoomEvents(events) {
   });
 
   console.log(
-    `Merged ${mergeCount1420} pairs of 1420/1430 events, ${mergeCount2410} pairs of 2410A/2410B events, ${mergeCount2420} pairs of 2420A/2420B events, and ${mergeCount2430} pairs of 2430A/2430B events`
+    `Merged ${[...mergeCounts.entries()]
+      .map(([code, count]) => `${count} ${code}`)
+      .join(", ")} events`
   );
   return mergedEvents;
 }
 
+/**
+ * The stages transformRawEventsToEvents can run over the processed events,
+ * by name. Each takes and returns an array of events.
+ */
+const PIPELINE_STAGES = {
+  filter: filterPlaceholderEvents,
+  mergeRooms: (events) => mergeAdjacentRoomEvents(events),
+  dropNonAcademic: removeKECNoAcademicEvents,
+  combineKEC: combineKECEvents,
+};
+
+/**
+ * Turn a stage list ("filter,mergeRooms" or an array) into stage names,
+ * rejecting unknown ones.
+ * @param {string|Array<string>} [stages] - Defaults to config.pipeline.stages
+ * @returns {Array<string>}
+ */
+function resolvePipelineStages(stages = config.pipeline.stages) {
+  const names = (Array.isArray(stages) ? stages : String(stages).split(","))
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+  const unknown = names.filter((name) => !PIPELINE_STAGES[name]);
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown pipeline stage(s): ${unknown.join(
+        ", "
+      )}. Expected any of: ${Object.keys(PIPELINE_STAGES).join(", ")}`
+    );
+  }
+  return names;
+}
+
 // Process the raw event data to extract and add processed properties
-function transformRawEventsToEvents(rawData) {
+function transformRawEventsToEvents(rawData, { stages } = {}) {
   // Handle case where rawData is undefined (no events)
   if (!rawData || !Array.isArray(rawData)) {
     console.log("No events to process");
@@ -245,28 +327,56 @@ function transformRawEventsToEvents(rawData) {
     `Processing ${rawData.length} events to extract additional properties...`
   );
 
-  // Filter out events where itemId or itemId2 equals 0, or subject_itemName contains ampersand
-  // BUT only filter itemId=0 if the event name is "(Private)" - we want to keep real events that happen to have itemId=0
-  const filteredData = rawData.filter((event) => {
-    const isPrivateEvent =
-      event.itemId === 0 &&
-      (event.itemName === "(Private)" || event.itemName === "Closed");
-    return (
-      !isPrivateEvent &&
-      event.itemId2 !== 0 &&
-      !event.subject_itemName?.includes("&")
-    );
-  });
+  const stageNames = resolvePipelineStages(stages);
+  console.log(`Pipeline stages: ${stageNames.join(" -> ") || "(none)"}`);
 
-  console.log(
-    `Filtered out ${
-      rawData.length - filteredData.length
-    } events with itemId/itemId2 equal to 0 or containing ampersand in room name`
-  );
+  // Spaces missing from the room registry, by the id of the event using them
+  const unknownSpaces = new Map();
+
+  // An item whose identifiers cannot form an event id cannot be stored;
+  // skip it rather than lose the rest of the day over it
+  const invalidIdItems = [];
+  const identifiableData = rawData.filter((event) => {
+    try {
+      generateEventId(event.itemId, event.itemId2, event.subject_itemId);
+      return true;
+    } catch (error) {
+      invalidIdItems.push({
+        itemId: event.itemId,
+        itemId2: event.itemId2,
+        subject_itemId: event.subject_itemId,
+        itemName: event.itemName,
+      });
+      return false;
+    }
+  });
+  if (invalidIdItems.length > 0) {
+    console.warn(
+      `Skipped ${invalidIdItems.length} 25Live item(s) without integer itemId/itemId2/subject_itemId:`,
+      invalidIdItems
+    );
+  }
 
   // First, process all events with room parsing
-  const processedEvents = filteredData.map((event) => {
+  const processedEvents = identifiableData.map((event) => {
     const { startTimeStr, endTimeStr } = toTimeStrings(event.start, event.end);
+    const room = lookupRoom(event.subject_itemId, event.subject_itemName);
+    const id = generateEventId(
+      event.itemId,
+      event.itemId2,
+      event.subject_itemId
+    );
+    if (!room.known) {
+      unknownSpaces.set(id, {
+        subject_itemId: event.subject_itemId,
+        subject_itemName: event.subject_itemName,
+        fallback_room_name: room.code,
+      });
+    }
+
+    const headcounts = getHeadcounts(event);
+    const { reservationId, setupStartTime, teardownEndTime } =
+      getReservationTimes(event);
 
     // Extract just the date part from subject_item_date (YYYY-MM-DD format)
     const eventDate = event.subject_item_date
@@ -276,12 +386,8 @@ function transformRawEventsToEvents(rawData) {
     return {
       item_id: event.itemId,
       item_id2: event.itemId2,
-      // Generate a deterministic ID from the source data for upsert operations
-      id: generateDeterministicId(
-        event.itemId,
-        event.itemId2,
-        event.subject_itemId
-      ),
+      // Build the id from the full 25Live identifiers for upsert operations
+      id,
       date: eventDate,
       start_time: startTimeStr,
       end_time: endTimeStr,
@@ -290,16 +396,121 @@ function transformRawEventsToEvents(rawData) {
       organization: getOrganization(event),
       instructor_names: getInstructorNames(event),
       lecture_title: getLectureTitle(event),
-      room_name: parseRoomName(event.subject_itemName),
+      ...getCourseInfo(event),
+      room_name: room.code,
+      room_display_name: room.displayName,
+      building: room.building,
+      floor: room.floor,
+      room_capacity: room.capacity,
+      room_recording: room.recording,
       resources: parseEventResources(event),
+      expected_headcount: headcounts.expected,
+      registered_headcount: headcounts.registered,
+      event_state: getEventState(event),
+      reservation_id: reservationId,
+      setup_start_time: setupStartTime,
+      teardown_end_time: teardownEndTime,
+      // Anything present in 25Live is active; the sync cancels what disappears
+      status: "active",
+      cancelled_at: null,
+      // Set by the room/KEC merges; reset here so a merge that no longer
+      // applies does not leave stale lineage on the stored rows
+      merged_from: null,
+      merged_sources: null,
       updated_at: new Date().toISOString(),
       raw: event,
     };
   });
 
-  // Now merge adjacent room events (1420 & 1430)
-  const mergedEvents = mergeAdjacentRoomEvents(processedEvents);
-  const filteredEvents = removeKECNoAcademicEvents(mergedEvents);
+  const filteredEvents = stageNames.reduce(
+    (events, name) => PIPELINE_STAGES[name](events),
+    processedEvents
+  );
+
+  // Report unknown spaces once per batch, ignoring events the stages dropped
+  const keptIds = new Set(
+    filteredEvents.flatMap((event) => event.merged_from || [event.id])
+  );
+  const reportedSpaces = new Map(
+    [...unknownSpaces.entries()]
+      .filter(([id]) => keptIds.has(id))
+      .map(([, space]) => [space.subject_itemId, space])
+  );
+  if (reportedSpaces.size > 0) {
+    console.warn(
+      `${reportedSpaces.size} 25Live space(s) missing from the room registry (25live/definitions/rooms.json):`,
+      [...reportedSpaces.values()]
+    );
+  }
+
+  const overCapacity = filteredEvents.filter(
+    (event) =>
+      Number.isInteger(event.room_capacity) &&
+      Math.max(event.expected_headcount ?? 0, event.registered_headcount ?? 0) >
+        event.room_capacity
+  );
+  overCapacity.forEach((event) => {
+    console.warn(
+      `Over capacity: ${event.event_name} in ${event.room_name} at ${
+        event.start_time
+      } expects ${Math.max(
+        event.expected_headcount ?? 0,
+        event.registered_headcount ?? 0
+      )} for ${event.room_capacity} seats`
+    );
+  });
+
+  // Flag evdetail payloads that did not look the way the extractors expect
+  const detailReport = buildDetailValidationReport(rawData);
+  if (detailReport.issues.length > 0) {
+    console.warn(
+      `evdetail validation: ${detailReport.issues.length} kind(s) of unexpected payload shape across ${detailReport.checked} events`
+    );
+    detailReport.issues.forEach(({ code, message, count, eventIds }) => {
+      console.warn(
+        `  ${code} (${count} events, e.g. ${eventIds.join(", ")}): ${message}`
+      );
+    });
+  }
+
+  // Availability items whose detail reservations do not line up; their
+  // resources and setup/teardown may belong to another reservation
+  const reservationReport = buildReservationReport(rawData);
+  if (reservationReport.length > 0) {
+    console.warn(
+      `Reservation mismatches: ${reservationReport.length} issue(s) across ${rawData.length} events`
+    );
+    reservationReport.forEach(
+      ({ itemId, itemId2, date, start_time, space, code, message }) => {
+        console.warn(
+          `  ${code}: ${itemId}/${itemId2} ${date} ${start_time} ${space}: ${message}`
+        );
+      }
+    );
+  }
+
+  // Two rows with one id would overwrite each other on upsert, so refuse the batch
+  const collisions = findIdCollisions(filteredEvents);
+  if (collisions.length > 0) {
+    collisions.forEach(({ id, events }) => {
+      console.error(
+        `Event id collision on ${id}:`,
+        events.map((event) => ({
+          item_id: event.item_id,
+          item_id2: event.item_id2,
+          event_name: event.event_name,
+          room_name: event.room_name,
+          start_time: event.start_time,
+        }))
+      );
+    });
+    throw new Error(
+      `${collisions.length} event id collision(s) in this batch: ${collisions
+        .map(({ id }) => id)
+        .join(", ")}`
+    );
+  }
+
   return filteredEvents;
 }
 
@@ -311,7 +522,11 @@ module.exports = {
   getLectureTitle,
   parseRoomName,
   parseEventResources,
-  generateDeterministicId,
+  generateEventId,
   combineKECEvents,
   mergeAdjacentRoomEvents,
+  removeKECNoAcademicEvents,
+  filterPlaceholderEvents,
+  PIPELINE_STAGES,
+  resolvePipelineStages,
 };
@@ -0,0 +1,93 @@
+const { getEventType, getOrganization, getLectureTitle } = require('./index');
+
+const COURSE = 'course';
+const NON_COURSE = 'non_course';
+
+const PROGRAMS = {
+  FT: 'FT',
+  EW: 'EW',
+  EMBA: 'EMBA',
+};
+
+// "MGMT-431-0-61", "MGMT 431-0 61", "KELLG_FE 310-0 Section 21", "FINC 430".
+// Subjects are upper case so ordinary words ("Room 110") are not matched.
+const COURSE_PATTERN = /(?:^|[^A-Za-z0-9_])([A-Z][A-Z_]{1,11})[\s-]+(\d{3})(?:-(\d))?(?:(?:[\s-]+(?:[Ss]ec(?:tion)?\.?\s*)?|\s*\()(\d{1,2})\)?)?(?![\d])/;
+
+// The program is only known when the name says so; section numbers are not
+// reserved per program, so a code without a marker has no program
+const PROGRAM_MARKERS = [
+  { program: PROGRAMS.EMBA, pattern: /\bE-?MBA\b|\bExecutive MBA\b/i },
+  { program: PROGRAMS.EW, pattern: /\bE&W\b|\bEW\b|\bEvening\s*(?:&|and)\s*Weekend\b/i },
+  { program: PROGRAMS.FT, pattern: /\bFT\b|\bFull[-\s]?Time\b/i },
+];
+
+const EMBA_ORGANIZATION = 'Kellogg Executive MBA Program';
+
+// Only these event types carry course codes; the pattern alone also matches
+// ordinary titles such as "CFO 360 Summit"
+const COURSE_EVENT_TYPES = ['Class', 'KEC'];
+
+/**
+ * Pull a course code out of a name such as "MGMT-431-0-61 Leadership...".
+ * @param {string} text - event_name or lecture_title
+ * @returns {{ subject: string, catalogNumber: string, section: string|null, program: string|null }|null}
+ *   null when the text does not contain a course code
+ */
+const parseCourseCode = (text) => {
+  const match = typeof text === 'string' && text.match(COURSE_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const [, subject, catalogNumber, , section] = match;
+  const marker = PROGRAM_MARKERS.find(({ pattern }) => pattern.test(text));
+
+  return {
+    subject,
+    catalogNumber,
+    section: section !== undefined ? section.padStart(2, '0') : null,
+    program: marker?.program ?? null,
+  };
+};
+
+/**
+ * The course fields stored on an event. Only Class and KEC events are parsed;
+ * the code is read from the event name first and the lecture title second.
+ * Everything else is non-course (meetings, summits, KEC sessions without a
+ * code, holds...). KEC events under the Executive MBA organization are EMBA
+ * whatever their name says.
+ * @param {Object} data - Raw 25Live event
+ * @returns {{ course_kind: string, course_subject: string|null, course_catalog_number: string|null,
+ *   course_section: string|null, course_program: string|null }}
+ */
+const getCourseInfo = (data) => {
+  const eventType = getEventType(data);
+  const course = COURSE_EVENT_TYPES.includes(eventType)
+    && (parseCourseCode(data.itemName) || parseCourseCode(getLectureTitle(data)));
+  if (!course) {
+    return {
+      course_kind: NON_COURSE,
+      course_subject: null,
+      course_catalog_number: null,
+      course_section: null,
+      course_program: null,
+    };
+  }
+
+  const isEmba = eventType === 'KEC' && getOrganization(data) === EMBA_ORGANIZATION;
+  return {
+    course_kind: COURSE,
+    course_subject: course.subject,
+    course_catalog_number: course.catalogNumber,
+    course_section: course.section,
+    course_program: isEmba ? PROGRAMS.EMBA : course.program,
+  };
+};
+
+module.exports = {
+  COURSE,
+  NON_COURSE,
+  PROGRAMS,
+  parseCourseCode,
+  getCourseInfo,
+};
@@ -1,99 +1,45 @@
-const THIRTY_MINUTES_IN_SECONDS = 30 * 60;
+const { loadTaskRules, applyTaskRule, matchTaskRule, generateTaskId } = require('./taskRules');
 
-/**
- * Convert a HH:MM[:SS] string into seconds from midnight.
- * @param {string} timeStr
- * @returns {number|null}
- */
-const parseTimeToSeconds = (timeStr) => {
-  if (typeof timeStr !== 'string') {
-    return null;
-  }
-
-  const parts = timeStr.split(':').map(part => Number(part));
-
-  if (parts.some(Number.isNaN)) {
-    return null;
-  }
-
-  const [hours = 0, minutes = 0, seconds = 0] = parts;
-
-  return (hours * 3600) + (minutes * 60) + Math.floor(seconds);
-};
-
-/**
- * Convert seconds from midnight into a HH:MM:SS string.
- * @param {number} totalSeconds
- * @returns {string}
- */
-const formatSecondsToTime = (totalSeconds) => {
-  const hours = Math.floor(totalSeconds / 3600);
-  const minutes = Math.floor((totalSeconds % 3600) / 60);
-  const seconds = Math.floor(totalSeconds % 60);
-
-  return [
-    hours.toString().padStart(2, '0'),
-    minutes.toString().padStart(2, '0'),
-    seconds.toString().padStart(2, '0'),
-  ].join(':');
-};
+const RECORDING_RULE = 'recording-check';
+const RECORDING_CHECK = 'RECORDING CHECK';
 
 /**
  * Create Panopto recording check tasks for events with video recording resources.
- * Mirrors the behaviour of the SQL trigger by emitting 30 minute interval checks.
+ * The behaviour lives in the "recording-check" rule of the task rules file;
+ * this applies just that rule to one event/resource pair.
  * @param {Object} event
  * @param {Object} resource
+ * @param {Array} [rules] - Compiled rules, defaults to loadTaskRules()
  * @returns {Array<Object>}
  */
-function createRecordingTasks(event, resource) {
+function createRecordingTasks(event, resource, rules = loadTaskRules()) {
   if (!event || !resource) {
     return [];
   }
 
-  const resourceName = resource.itemName || '';
-  const hasVideoRecordingResource = resourceName
-    .toUpperCase()
-    .startsWith('KSM-KGH-VIDEO-RECORDING');
-
-  if (!hasVideoRecordingResource) {
+  const rule = rules.find(candidate => candidate.name === RECORDING_RULE);
+  if (!rule) {
     return [];
   }
 
-  const startSeconds = parseTimeToSeconds(event.start_time);
-  const endSeconds = parseTimeToSeconds(event.end_time);
-
-  if (startSeconds === null || endSeconds === null) {
-    return [];
-  }
-
-  const durationSeconds = endSeconds - startSeconds;
-  if (durationSeconds <= 0) {
-    return [];
-  }
-
-  const totalChecks = Math.floor(durationSeconds / THIRTY_MINUTES_IN_SECONDS);
-  if (totalChecks <= 0) {
-    return [];
-  }
-
-  const tasks = [];
-  for (let index = 0; index < totalChecks; index += 1) {
-    const checkSeconds = startSeconds + (index * THIRTY_MINUTES_IN_SECONDS);
-
-    tasks.push({
-      event_id: event.id,
-      taskType: 'RECORDING CHECK',
-      resource_item_name: resourceName,
-      date: event.date,
-      time: formatSecondsToTime(checkSeconds),
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString(),
-    });
-  }
+  return applyTaskRule(rule, { ...event, resources: [resource] });
+}
 
-  return tasks;
+/**
+ * Whether an event is booked for recording, i.e. whether the "recording-check"
+ * rule applies to it.
+ * @param {Object} event
+ * @param {Array} [rules] - Compiled rules, defaults to loadTaskRules()
+ * @returns {boolean}
+ */
+function hasRecordingResource(event, rules = loadTaskRules()) {
+  const rule = rules.find(candidate => candidate.name === RECORDING_RULE);
+  return Boolean(rule && event && matchTaskRule(rule, event));
 }
 
 module.exports = {
+  RECORDING_CHECK,
+  generateTaskId,
   createRecordingTasks,
+  hasRecordingResource,
 };
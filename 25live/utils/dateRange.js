@@ -0,0 +1,118 @@
+const dayjs = require('dayjs');
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const OFFSET_PATTERN = /^[+-]?\d+$/;
+
+/**
+ * Resolve a CLI date token into a YYYY-MM-DD string.
+ * Accepts either an ISO date ("2025-09-22") or a day offset from today ("-3", "0", "14").
+ * @param {string} token
+ * @param {dayjs.Dayjs} today
+ * @returns {string}
+ */
+const resolveDateToken = (token, today) => {
+  if (ISO_DATE_PATTERN.test(token)) {
+    const date = dayjs(token);
+    if (!date.isValid() || date.format(DATE_FORMAT) !== token) {
+      throw new Error(`Invalid date: ${token}`);
+    }
+    return token;
+  }
+
+  if (OFFSET_PATTERN.test(token)) {
+    return today.add(parseInt(token, 10), 'day').format(DATE_FORMAT);
+  }
+
+  throw new Error(`Expected a YYYY-MM-DD date or a day offset, got "${token}"`);
+};
+
+/**
+ * Whether a CLI argument is a date token resolveDateToken accepts.
+ * @param {string} token
+ * @returns {boolean}
+ */
+const isDateToken = (token) =>
+  ISO_DATE_PATTERN.test(token) || OFFSET_PATTERN.test(token);
+
+/**
+ * Expand an inclusive date range into a list of YYYY-MM-DD strings.
+ * @param {string} from
+ * @param {string} to
+ * @returns {Array<string>}
+ */
+const expandDateRange = (from, to) => {
+  const start = dayjs(from);
+  const end = dayjs(to);
+
+  if (end.isBefore(start)) {
+    throw new Error(`--to (${to}) is before --from (${from})`);
+  }
+
+  const dates = [];
+  for (let date = start; !date.isAfter(end); date = date.add(1, 'day')) {
+    dates.push(date.format(DATE_FORMAT));
+  }
+  return dates;
+};
+
+/**
+ * Work out which dates a scrape run should cover from its CLI arguments.
+ *
+ * Supported forms:
+ *   scrape.js                         -> today
+ *   scrape.js 0                       -> a single offset (the old matrix form)
+ *   scrape.js -1 0 1                  -> a list of offsets and/or dates
+ *   scrape.js --from -80 --to 79      -> an inclusive range of offsets
+ *   scrape.js --from 2025-09-22 --to 2025-09-28
+ *
+ * Flags that are not date related (anything else starting with "--") are ignored
+ * so callers can layer their own options on top.
+ * @param {Array<string>} args - process.argv.slice(2)
+ * @param {dayjs.Dayjs} [today]
+ * @returns {Array<string>} Unique dates in ascending order
+ */
+const parseScrapeDates = (args, today = dayjs()) => {
+  let from = null;
+  let to = null;
+  const tokens = [];
+
+  for (let index = 0; index < args.length; index += 1) {
+    const arg = args[index];
+    const [flag, inlineValue] = arg.split('=');
+
+    if (flag === '--from' || flag === '--to') {
+      const value = inlineValue !== undefined ? inlineValue : args[++index];
+      if (value === undefined) {
+        throw new Error(`${flag} requires a value`);
+      }
+      if (flag === '--from') {
+        from = resolveDateToken(value, today);
+      } else {
+        to = resolveDateToken(value, today);
+      }
+    } else if (arg.startsWith('--')) {
+      continue;
+    } else {
+      tokens.push(resolveDateToken(arg, today));
+    }
+  }
+
+  const dates = [...tokens];
+
+  if (from || to) {
+    dates.push(...expandDateRange(from || to, to || from));
+  }
+
+  if (dates.length === 0) {
+    dates.push(today.format(DATE_FORMAT));
+  }
+
+  return [...new Set(dates)].sort();
+};
+
+module.exports = {
+  isDateToken,
+  parseScrapeDates,
+  expandDateRange,
+};
@@ -0,0 +1,252 @@
+// Structured access to the 25Live evdetail payload (raw event .itemDetails)
+
+/**
+ * Turn an HTML fragment from 25Live into comparable text: tags and common
+ * entities removed, whitespace collapsed, lower-cased.
+ * "<p>Academic&nbsp;Session </p>" -> "academic session"
+ * @param {string} html
+ * @returns {string}
+ */
+const normalizeHtmlText = (html) => {
+  if (typeof html !== 'string') {
+    return '';
+  }
+  return html
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&amp;/gi, '&')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+};
+
+/**
+ * Where the transforms read each field. Panel fields are found by label in
+ * their panel first; the position is how they were read before labels were
+ * used and is only a fallback, reported as positional_<field>. An item at
+ * that position labelled as something else means the panel was reordered:
+ * it is not read, and label_mismatch_<field> is reported instead.
+ *   panelTypeId / panelIndex - which panel (by typeId, or by position); any panel if neither
+ *   labels                   - accepted labels, normalized
+ *   index                    - fallback position of the item in the panel
+ *   nested                   - the value is the first child item's name
+ * Head counts and state are not in a panel but pinned to one property of
+ * itemDetails each (key), named after the 25Live web service's
+ * expected_count, registered_count and state in camelCase. A payload without
+ * the property is reported as missing_key_<field>; an explicit null is not.
+ */
+const EVDETAIL_FIELDS = {
+  lectureTitle: { panelTypeId: 11, labels: ['title', 'event title', 'lecture title'], index: 1 },
+  eventType: { panelTypeId: 11, labels: ['event type', 'type'], index: 2 },
+  organization: { panelTypeId: 11, labels: ['organization', 'primary organization', 'sponsoring organization'], index: 6, nested: true },
+  secondaryOrganization: { panelTypeId: 11, labels: ['additional organization', 'additional organizations', 'other organizations'], index: 8, nested: true },
+  instructors: { panelTypeId: 12, labels: ['instructor', 'instructors'], index: 0 },
+  instructorsNested: { panelTypeId: 13, labels: ['instructor', 'instructors'], index: 0, nested: true },
+  kecSessionType: { panelIndex: 1, labels: ['session type'], index: 0 },
+  expectedHeadcount: { key: 'expectedCount' },
+  registeredHeadcount: { key: 'registeredCount' },
+  eventState: { key: 'state' },
+};
+
+// Panel types the extractors depend on; payloads without them are reported
+const EXPECTED_PANEL_TYPES = [11];
+
+const normalizeLabel = (label) => normalizeHtmlText(label).replace(/:$/, '');
+
+// Labels 25Live may put in front of the value ("Instructors: Jane Doe").
+// Only the labels of EVDETAIL_FIELDS count, so a title such as
+// "Finance: Advanced Topics" is not taken for a labelled item.
+const KNOWN_LABELS = new Set(Object.values(EVDETAIL_FIELDS).flatMap(field => field.labels || []));
+const INLINE_LABEL = /^\s*([A-Za-z][A-Za-z /&-]{1,40}):\s*/;
+
+const explicitLabelOf = (item) => item.itemLabel ?? item.label ?? item.itemTypeName ?? item.attributeName;
+
+const inlineLabelOf = (item) => {
+  const inline = typeof item.itemName === 'string' && item.itemName.match(INLINE_LABEL);
+  return inline && KNOWN_LABELS.has(normalizeLabel(inline[1])) ? normalizeLabel(inline[1]) : null;
+};
+
+const labelOf = (item) => {
+  const explicit = explicitLabelOf(item);
+  return explicit ? normalizeLabel(explicit) : inlineLabelOf(item);
+};
+
+const valueOf = (item, nested) => {
+  const value = nested ? item.item?.[0]?.itemName ?? null : item.itemName ?? null;
+  // "Instructors: Jane Doe" -> "Jane Doe" when the label was inline
+  return typeof value === 'string' && !nested && inlineLabelOf(item) ? value.replace(INLINE_LABEL, '') : value;
+};
+
+const parsedCache = new WeakMap();
+
+/**
+ * Parse itemDetails.defn.panel into panels keyed by typeId, each with its
+ * items keyed by normalized label, and record anything unexpected about the
+ * payload's shape in `issues`.
+ * @param {Object} itemDetails - Raw event .itemDetails (the evdetail object)
+ * @returns {{ panels: Array<Object>, byType: Object, issues: Array<{ code: string, message: string }> }}
+ */
+const parseEventDetails = (itemDetails) => {
+  if (itemDetails && typeof itemDetails === 'object' && parsedCache.has(itemDetails)) {
+    return parsedCache.get(itemDetails);
+  }
+
+  const details = { panels: [], byType: {}, issues: [] };
+  const issue = (code, message) => details.issues.push({ code, message });
+  const rawPanels = itemDetails?.defn?.panel;
+
+  if (!itemDetails) {
+    issue('missing_details', 'event has no evdetail payload');
+  } else if (!Array.isArray(rawPanels)) {
+    issue('missing_panels', 'itemDetails.defn.panel is not an array');
+  } else {
+    rawPanels.forEach((rawPanel, index) => {
+      if (!rawPanel || typeof rawPanel !== 'object') {
+        issue('invalid_panel', `panel ${index} is not an object`);
+        return;
+      }
+      if (rawPanel.typeId === undefined) {
+        issue('panel_without_type', `panel ${index} has no typeId`);
+      }
+      const items = Array.isArray(rawPanel.item) ? rawPanel.item : [];
+      if (rawPanel.item !== undefined && !Array.isArray(rawPanel.item)) {
+        issue('invalid_panel_items', `panel ${index} (type ${rawPanel.typeId}) has a non-array item`);
+      }
+
+      const fields = {};
+      items.forEach(item => {
+        const label = item && labelOf(item);
+        if (!label) {
+          return;
+        }
+        if (fields[label]) {
+          issue('duplicate_label', `panel type ${rawPanel.typeId} has more than one "${label}" field`);
+          return;
+        }
+        fields[label] = item;
+      });
+
+      const panel = { typeId: rawPanel.typeId, index, items, fields };
+      details.panels.push(panel);
+      // Like the old loops, the first panel of a type wins
+      if (rawPanel.typeId !== undefined && !details.byType[rawPanel.typeId]) {
+        details.byType[rawPanel.typeId] = panel;
+      }
+    });
+
+    EXPECTED_PANEL_TYPES
+      .filter(typeId => !details.byType[typeId])
+      .forEach(typeId => issue('missing_panel_type', `no panel of type ${typeId}`));
+  }
+
+  if (itemDetails && typeof itemDetails === 'object') {
+    parsedCache.set(itemDetails, details);
+  }
+  return details;
+};
+
+/**
+ * Read one of EVDETAIL_FIELDS from a raw event: by label, else from its
+ * fallback position unless another field's label sits there, else null.
+ * Fallbacks, mismatches and missing keys are noted in the parsed details'
+ * issues for buildDetailValidationReport.
+ * @param {Object} data - Raw 25Live event
+ * @param {string} fieldName - Key of EVDETAIL_FIELDS
+ * @returns {*} The field's value (usually a string), or null
+ */
+const getDetailField = (data, fieldName) => {
+  const field = EVDETAIL_FIELDS[fieldName];
+  const details = parseEventDetails(data?.itemDetails);
+  const noteOnce = (code, message) => {
+    if (!details.issues.some(existing => existing.code === code)) {
+      details.issues.push({ code, message });
+    }
+  };
+
+  if (field.key) {
+    if (!data?.itemDetails) {
+      return null;
+    }
+    const value = data.itemDetails[field.key];
+    if (value === undefined) {
+      noteOnce(`missing_key_${fieldName}`, `itemDetails has no ${field.key} for ${fieldName}`);
+      return null;
+    }
+    if (value !== null && typeof value === 'object') {
+      noteOnce(`invalid_key_${fieldName}`, `itemDetails.${field.key} is not a plain value`);
+      return null;
+    }
+    return value;
+  }
+
+  let panels = details.panels;
+  if (field.panelIndex !== undefined) {
+    panels = [details.panels[field.panelIndex]].filter(Boolean);
+  } else if (field.panelTypeId !== undefined) {
+    panels = details.panels.filter(panel => panel.typeId === field.panelTypeId);
+  }
+
+  for (const panel of panels) {
+    const label = field.labels.find(candidate => panel.fields[candidate]);
+    if (label) {
+      return valueOf(panel.fields[label], field.nested);
+    }
+  }
+
+  for (const panel of panels) {
+    const item = panel.items[field.index];
+    const value = item ? valueOf(item, field.nested) : null;
+    if (!value) {
+      continue;
+    }
+    const where = `position ${field.index} of panel ${panel.typeId ?? panel.index}`;
+    const label = labelOf(item);
+    if (label) {
+      noteOnce(
+        `label_mismatch_${fieldName}`,
+        `${where} is labelled "${label}", expected ${field.labels.map(candidate => `"${candidate}"`).join(' or ')}; ${fieldName} not read`
+      );
+      return null;
+    }
+    noteOnce(`positional_${fieldName}`, `${fieldName} read from ${where} (no matching label)`);
+    return value;
+  }
+
+  return null;
+};
+
+/**
+ * Summarize the shape problems across a batch of raw events, so a change in
+ * how 25Live lays out evdetail shows up in the logs instead of silently
+ * changing event types. Call it after the extractors have run, so positional
+ * fallbacks, label mismatches and missing keys are included.
+ * @param {Array} rawEvents
+ * @returns {{ checked: number, issues: Array<{ code: string, message: string, count: number, eventIds: Array }> }}
+ */
+const buildDetailValidationReport = (rawEvents) => {
+  const byCode = new Map();
+
+  rawEvents.forEach(data => {
+    parseEventDetails(data?.itemDetails).issues.forEach(({ code, message }) => {
+      if (!byCode.has(code)) {
+        byCode.set(code, { code, message, count: 0, eventIds: [] });
+      }
+      const entry = byCode.get(code);
+      entry.count += 1;
+      // A few examples are enough to go and look at the payload
+      if (entry.eventIds.length < 5) {
+        entry.eventIds.push(data?.itemId);
+      }
+    });
+  });
+
+  return { checked: rawEvents.length, issues: [...byCode.values()] };
+};
+
+module.exports = {
+  EVDETAIL_FIELDS,
+  normalizeHtmlText,
+  parseEventDetails,
+  getDetailField,
+  buildDetailValidationReport,
+};
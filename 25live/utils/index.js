@@ -1,120 +1,121 @@
 // Helper functions to extract data from event objects
+const { normalizeHtmlText, parseEventDetails, getDetailField } = require('./evdetail');
+const { cleanInstructorText, isPlausibleName } = require('./instructors');
+
+const EVENT_ID_SEPARATOR = '-';
+const NON_NEGATIVE_INTEGER = /^\d+$/;
 
 /**
- * Generate a deterministic ID from source data that can handle large numbers
- * Uses BigInt to avoid precision issues with large concatenated numbers
- * @param {number} itemId - The item ID
- * @param {number} itemId2 - The second item ID  
- * @param {number} subjectItemId - The subject item ID
- * @returns {number} A unique integer ID
+ * Build the event id from the full 25Live identifiers.
+ *
+ * The id is the canonical decimal form of each identifier joined with "-",
+ * e.g. "1234567-89012345-678". Canonical decimals never contain "-", so the
+ * mapping is injective: two different (itemId, itemId2, subjectItemId)
+ * triples can never produce the same id, whatever their size. Identifiers
+ * that are not non-negative integers are rejected rather than coerced.
+ * @param {number|string} itemId - 25Live event id
+ * @param {number|string} itemId2 - 25Live reservation id
+ * @param {number|string} subjectItemId - 25Live space id
+ * @returns {string} The event id
  */
-const generateDeterministicId = (itemId, itemId2, subjectItemId) => {
-  // Create a deterministic ID that combines the three numbers in a way that's guaranteed unique
-  // and fits within PostgreSQL int8 limits (19 digits max)
-  
-  // Convert to strings and pad to ensure consistent length
-  const itemIdStr = itemId.toString().padStart(10, '0');
-  const itemId2Str = itemId2.toString().padStart(10, '0');
-  const subjectItemIdStr = subjectItemId.toString().padStart(5, '0');
-  
-  // Take the last 6 digits of each to keep the total manageable
-  const itemIdPart = parseInt(itemIdStr.slice(-6));
-  const itemId2Part = parseInt(itemId2Str.slice(-6));
-  const subjectPart = parseInt(subjectItemIdStr.slice(-5));
-  
-  // Combine using a formula that ensures uniqueness
-  // This will produce a number around 15-16 digits, well within int8 limits
-  return itemIdPart * 1000000000 + itemId2Part * 10000 + subjectPart;
+const generateEventId = (itemId, itemId2, subjectItemId) => {
+  return [itemId, itemId2, subjectItemId]
+    .map(part => {
+      const text = String(part).trim();
+      if (!NON_NEGATIVE_INTEGER.test(text)) {
+        throw new Error(`Cannot build an event id from identifier "${part}" (${itemId}, ${itemId2}, ${subjectItemId})`);
+      }
+      // BigInt drops leading zeros without losing precision on large ids
+      return BigInt(text).toString();
+    })
+    .join(EVENT_ID_SEPARATOR);
 };
 
-const getEventType = (data) => {
-  const panels = data.itemDetails?.defn?.panel || [];
-  for (const panel of panels) {
-    if (panel.typeId === 11) {
-      // Check if this is a Kellogg Executive Education Program
-      const kelloggProgram = panel.item?.[6]?.item?.[0]?.itemName;
-      if (kelloggProgram === "Kellogg Executive Education Programs" || kelloggProgram === "Kellogg Executive MBA Program") {
-        return "KEC";
-      }
-      
-      // Check if this is a CMC program
-      const cmcProgram = panel.item?.[8]?.item?.[0]?.itemName;
-      if (cmcProgram === "RES CMC, KSM") {
-        return "CMC";
-      }
-      
-      // Original logic for other event types
-      const eventType = panel.item?.[2]?.itemName;
-      if (eventType) return eventType;
+/**
+ * Find events in one scrape batch that share an id. With generateEventId this
+ * only happens when 25Live lists the same reservation in the same space twice,
+ * or a merge stage emits two events from the same source, but either way the
+ * second row would silently overwrite the first on upsert.
+ * @param {Array} events - Processed events
+ * @returns {Array<{ id: string, events: Array }>} One entry per colliding id
+ */
+const findIdCollisions = (events) => {
+  const eventsById = events.reduce((groups, event) => {
+    if (!groups.has(event.id)) {
+      groups.set(event.id, []);
     }
+    groups.get(event.id).push(event);
+    return groups;
+  }, new Map());
+
+  return [...eventsById.entries()]
+    .filter(([, group]) => group.length > 1)
+    .map(([id, group]) => ({ id, events: group }));
+};
+
+const KEC_ORGANIZATIONS = ['Kellogg Executive Education Programs', 'Kellogg Executive MBA Program'];
+const CMC_ORGANIZATION = 'RES CMC, KSM';
+
+const getEventType = (data) => {
+  if (!parseEventDetails(data.itemDetails).byType[11]) {
+    return null;
+  }
+
+  // Check if this is a Kellogg Executive Education Program
+  if (KEC_ORGANIZATIONS.includes(getDetailField(data, 'organization'))) {
+    return "KEC";
+  }
+
+  // Check if this is a CMC program
+  if (getDetailField(data, 'secondaryOrganization') === CMC_ORGANIZATION) {
+    return "CMC";
   }
-  return null;
+
+  // Original logic for other event types
+  return getDetailField(data, 'eventType') || null;
+};
+
+/**
+ * The session type of a KEC event ("academic session", "class session",
+ * "meal", ...) as normalized text, or null if the event has none.
+ * @param {Object} data - Raw 25Live event
+ * @returns {string|null}
+ */
+const getKecSessionType = (data) => {
+  const sessionType = normalizeHtmlText(getDetailField(data, 'kecSessionType'));
+  return sessionType || null;
 };
 
 const getOrganization = (data) => {
-  const panels = data.itemDetails?.defn?.panel || [];
-  for (const panel of panels) {
-    if (panel.typeId === 11) {
-      const organization = panel.item?.[6]?.item?.[0]?.itemName;
-      if (organization) {
-        return organization;
-      }
-    }
+  return getDetailField(data, 'organization') || null;
+};
+
+/**
+ * Split an instructors attribute ("Instructors: Jane Doe; John Roe") into
+ * cleaned spellings, dropping HTML residue, template noise and placeholders
+ * (see utils/instructors.js).
+ * @param {string} instructor
+ * @returns {Array<string>|null}
+ */
+const parseInstructorList = (instructor) => {
+  if (!instructor) {
+    return null;
   }
-  return null;
+  const instructors = cleanInstructorText(instructor.replace(/<br\s*\/?>/gi, ';'))
+    .replace(/^Instructors:\s*/i, '')
+    .split(/\s*;\s*/)
+    .map(cleanInstructorText)
+    .filter(isPlausibleName);
+  return instructors.length > 0 ? instructors : null;
 };
 
 const getInstructorNames = (data) => {
-  const panels = data.itemDetails?.defn?.panel || [];
-  for (const panel of panels) {
-    if (panel.typeId === 12) {
-      const instructor = panel.item?.[0]?.itemName;
-      if (instructor) {
-        const cleanName = instructor.replace(/^Instructors:\s*/, '').trim();
-        if (cleanName &&
-            !cleanName.startsWith('<') &&
-            cleanName.length > 2 &&
-            cleanName.length < 100 &&
-            !cleanName.includes('{') &&
-            !cleanName.includes('}')) {
-          // Split on semicolon and space, filter out empty strings, and trim whitespace
-          const instructors = cleanName.split('; ')
-            .map(name => name.trim())
-            .filter(name => name.length > 0);
-          return instructors.length > 0 ? instructors : null;
-        }
-      }
-    }
-    if (panel.typeId === 13) {
-      const instructor = panel.item?.[0]?.item?.[0]?.itemName;
-      if (instructor) {
-        const cleanName = instructor.replace(/^Instructors:\s*/, '').trim();
-        if (cleanName &&
-            !cleanName.startsWith('<') &&
-            cleanName.length > 2 &&
-            cleanName.length < 100 &&
-            !cleanName.includes('{') &&
-            !cleanName.includes('}')) {
-          // Split on semicolon and space, filter out empty strings, and trim whitespace
-          const instructors = cleanName.split('; ')
-            .map(name => name.trim())
-            .filter(name => name.length > 0);
-          return instructors.length > 0 ? instructors : null;
-        }
-      }
-    }
-  }
-  return null;
+  return parseInstructorList(getDetailField(data, 'instructors'))
+    || parseInstructorList(getDetailField(data, 'instructorsNested'));
 };
 
 const getLectureTitle = (data) => {
-  const panels = data.itemDetails?.defn?.panel || [];
-  for (const panel of panels) {
-    if (panel.typeId === 11 && panel.item?.[1]?.itemName) {
-      return panel.item[1].itemName;
-    }
-  }
-  return null;
+  return getDetailField(data, 'lectureTitle') || null;
 };
 
 /**
@@ -143,46 +144,161 @@ const parseRoomName = (subjectItemName) => {
   return roomNumber.replace(/(GH)(\d+)([AB]?)/, 'GH $2$3');
 };
 
+const reservationCache = new WeakMap();
+
+// Reservation fields, named like the 25Live web service's reservation_id,
+// rsrv_start_dt and rsrv_end_dt in the camelCase of startDt/endDt. The
+// timestamps ("2025-07-15T12:30") are when the space is held before and
+// after the event itself. A matched reservation without one of these keys
+// is reported as missing_reservation_keys; an explicit null is not.
+const RESERVATION_ID_KEY = 'rsrvId';
+const RESERVATION_SETUP_KEY = 'rsrvStartDt';
+const RESERVATION_TEARDOWN_KEY = 'rsrvEndDt';
+
+const toClockTime = (dateTime) => {
+  const match = typeof dateTime === 'string' && dateTime.match(/T(\d{2}):(\d{2})(?::(\d{2}))?/);
+  return match ? `${match[1]}:${match[2]}:${match[3] || '00'}` : null;
+};
+
 /**
- * Parse event resources for the reservation that matches the event date.
- * @param {Object} event - The event object
- * @returns {Array} Array of simplified resource objects
+ * The space ids a reservation is for, when the payload says. Reservations
+ * without space information return an empty list and match any space.
+ * @param {Object} rsv
+ * @returns {Array<string>}
  */
-const parseEventResources = (event) => {
-  // Make a deep copy of the prof array if it exists
-  const profArray = event.itemDetails?.occur?.prof ? JSON.parse(JSON.stringify(event.itemDetails.occur.prof)) : null;
-  
-  if (!profArray || !Array.isArray(profArray)) {
-    return [];
+const reservationSpaceIds = (rsv) => {
+  const single = rsv.spaceId ?? rsv.space_id;
+  const list = [rsv.space, rsv.spaces].find(Array.isArray) || [];
+  return [
+    ...(single !== undefined && single !== null ? [single] : []),
+    ...list.map(space => (typeof space === 'object' ? space?.itemId ?? space?.spaceId : space)),
+  ]
+    .filter(id => id !== undefined && id !== null)
+    .map(String);
+};
+
+/**
+ * Match an availability item to one of its event's reservations
+ * (itemDetails.occur.prof[].rsv[]): same date first, then same start time,
+ * then same space. When nothing matches exactly the closest reservation on
+ * the date is used and the disagreement is recorded in `issues`.
+ * @param {Object} event - Raw 25Live event
+ * @returns {{ reservation: Object|null, issues: Array<{ code: string, message: string }> }}
+ */
+const matchEventReservation = (event) => {
+  if (reservationCache.has(event)) {
+    return reservationCache.get(event);
   }
 
+  const issues = [];
+  const issue = (code, message) => issues.push({ code, message });
+  const result = { reservation: null, issues };
+  reservationCache.set(event, result);
+
+  const profArray = event.itemDetails?.occur?.prof;
   // Concatenate all rsv arrays from all prof objects
-  const allRsv = profArray.reduce((acc, prof) => {
+  const allRsv = (Array.isArray(profArray) ? profArray : []).reduce((acc, prof) => {
     if (prof.rsv && Array.isArray(prof.rsv)) {
       return [...acc, ...prof.rsv];
     }
     return acc;
   }, []);
 
+  if (!event.itemDetails) {
+    return result;
+  }
   if (allRsv.length === 0) {
-    return [];
+    issue('no_reservations', 'event details list no reservations');
+    return result;
   }
 
-  // Find the reservation that matches the event date
-  const eventDate = event.subject_item_date;
-  
-  const matchingReservation = allRsv.find(rsv => {
-    if (!rsv.startDt) {
-      return false;
-    }
-    
-    // Extract just the date part from startDt (e.g., "2025-07-15" from "2025-07-15T13:00")
-    const reservationDate = rsv.startDt.split('T')[0];
-    // Also extract just the date part from eventDate (e.g., "2025-07-16" from "2025-07-16T00:00:00")
-    const eventDateOnly = eventDate.split('T')[0];
-    const matches = reservationDate === eventDateOnly;
-    return matches;
-  });
+  // Extract just the date part (e.g. "2025-07-16" from "2025-07-16T00:00:00")
+  const eventDate = (event.subject_item_date || '').split('T')[0];
+  const sameDate = allRsv.filter(rsv => rsv.startDt && rsv.startDt.split('T')[0] === eventDate);
+  if (sameDate.length === 0) {
+    issue('no_reservation_on_date', `no reservation on ${eventDate}`);
+    return result;
+  }
+
+  const { startTimeStr, endTimeStr } = toTimeStrings(event.start, event.end);
+  const spaceId = event.subject_itemId !== undefined ? String(event.subject_itemId) : null;
+  const inSpace = rsv => {
+    const spaces = reservationSpaceIds(rsv);
+    return spaces.length === 0 || spaceId === null || spaces.includes(spaceId);
+  };
+  const sameStart = sameDate.filter(rsv => toClockTime(rsv.startDt) === startTimeStr);
+
+  let reservation = sameStart.find(inSpace);
+  if (!reservation && sameStart.length > 0) {
+    reservation = sameStart[0];
+    issue('space_mismatch', `reservation at ${startTimeStr} is not for space ${spaceId}`);
+  }
+  if (!reservation) {
+    // Fall back to the reservation that starts closest to the availability item
+    const minutes = time => {
+      const [hours, mins] = (time || '00:00').split(':').map(Number);
+      return hours * 60 + mins;
+    };
+    const candidates = sameDate.filter(inSpace).length > 0 ? sameDate.filter(inSpace) : sameDate;
+    reservation = candidates.reduce((best, rsv) => (
+      Math.abs(minutes(toClockTime(rsv.startDt)) - minutes(startTimeStr))
+        < Math.abs(minutes(toClockTime(best.startDt)) - minutes(startTimeStr)) ? rsv : best
+    ));
+    issue(
+      sameDate.length > 1 ? 'ambiguous_reservation' : 'start_time_mismatch',
+      `availability starts at ${startTimeStr}, closest of ${sameDate.length} reservation(s) on ${eventDate} starts at ${toClockTime(reservation.startDt)}`
+    );
+  }
+
+  const reservationEnd = toClockTime(reservation.endDt);
+  if (reservationEnd && reservationEnd !== endTimeStr) {
+    issue('end_time_mismatch', `availability ends at ${endTimeStr}, reservation ends at ${reservationEnd}`);
+  }
+
+  const missingKeys = [RESERVATION_ID_KEY, RESERVATION_SETUP_KEY, RESERVATION_TEARDOWN_KEY]
+    .filter(key => reservation[key] === undefined);
+  if (missingKeys.length > 0) {
+    issue('missing_reservation_keys', `reservation has no ${missingKeys.join(', ')}`);
+  }
+
+  result.reservation = reservation;
+  return result;
+};
+
+/**
+ * Find the reservation that matches the event (see matchEventReservation).
+ * @param {Object} event - Raw 25Live event
+ * @returns {Object|null}
+ */
+const findEventReservation = (event) => matchEventReservation(event).reservation;
+
+/**
+ * List the events whose availability item and detail reservations disagree
+ * (no reservation on the date, different start/end time or space, several
+ * candidates), so they can be checked in 25Live.
+ * @param {Array} rawEvents
+ * @returns {Array<{ itemId: *, itemId2: *, date: string, start_time: string, space: string, code: string, message: string }>}
+ */
+const buildReservationReport = (rawEvents) => rawEvents.flatMap(event => {
+  const { startTimeStr } = toTimeStrings(event.start, event.end);
+  return matchEventReservation(event).issues.map(({ code, message }) => ({
+    itemId: event.itemId,
+    itemId2: event.itemId2,
+    date: (event.subject_item_date || '').split('T')[0],
+    start_time: startTimeStr,
+    space: event.subject_itemName,
+    code,
+    message,
+  }));
+});
+
+/**
+ * Parse event resources for the reservation that matches the event date.
+ * @param {Object} event - The event object
+ * @returns {Array} Array of simplified resource objects
+ */
+const parseEventResources = (event) => {
+  const matchingReservation = findEventReservation(event);
 
   if (!matchingReservation || !matchingReservation.res) {
     return [];
@@ -198,6 +314,58 @@ const parseEventResources = (event) => {
   return simplifiedResources;
 };
 
+/**
+ * Which of the event's reservations matched, and when its setup starts and
+ * teardown ends, as HH:MM:SS. Reservations without setup/teardown padding
+ * return null times.
+ * @param {Object} event - Raw 25Live event
+ * @returns {{ reservationId: string|null, setupStartTime: string|null, teardownEndTime: string|null }}
+ */
+const getReservationTimes = (event) => {
+  const reservation = findEventReservation(event);
+  const reservationId = reservation?.[RESERVATION_ID_KEY];
+  return {
+    reservationId: reservationId !== undefined && reservationId !== null ? String(reservationId) : null,
+    setupStartTime: toClockTime(reservation?.[RESERVATION_SETUP_KEY]),
+    teardownEndTime: toClockTime(reservation?.[RESERVATION_TEARDOWN_KEY]),
+  };
+};
+
+const toCount = (value) => {
+  const count = parseInt(value, 10);
+  return Number.isNaN(count) || count < 0 ? null : count;
+};
+
+/**
+ * Expected and registered head counts from the event details.
+ * @param {Object} data - Raw 25Live event
+ * @returns {{ expected: number|null, registered: number|null }}
+ */
+const getHeadcounts = (data) => ({
+  expected: toCount(getDetailField(data, 'expectedHeadcount')),
+  registered: toCount(getDetailField(data, 'registeredHeadcount')),
+});
+
+// 25Live state ids
+const EVENT_STATES = {
+  0: 'draft',
+  1: 'tentative',
+  2: 'confirmed',
+  3: 'sealed',
+  98: 'denied',
+  99: 'cancelled',
+};
+
+/**
+ * The 25Live event state (tentative, confirmed, cancelled, ...), lower-cased.
+ * @param {Object} data - Raw 25Live event
+ * @returns {string|null}
+ */
+const getEventState = (data) => {
+  const state = getDetailField(data, 'eventState');
+  return /^\d+$/.test(String(state)) ? EVENT_STATES[Number(state)] || null : null;
+};
+
 /**
  * Convert decimal hour times into HH:MM:SS strings
  * @param {number|string} start - Start time as decimal hours or numeric string
@@ -220,13 +388,22 @@ const toTimeStrings = (start, end) => {
 };
 
 module.exports = {
-  generateDeterministicId,
+  generateEventId,
+  findIdCollisions,
   getEventType,
+  normalizeHtmlText,
+  getKecSessionType,
   getOrganization,
   getInstructorNames,
   getLectureTitle,
   parseRoomName,
+  matchEventReservation,
+  findEventReservation,
+  buildReservationReport,
   parseEventResources,
+  getReservationTimes,
+  getHeadcounts,
+  getEventState,
   toTimeStrings
 };
 
@@ -0,0 +1,244 @@
+const fs = require('fs');
+const config = require('../../config');
+
+// Spellings that are placeholders rather than people
+const PLACEHOLDER_NAMES = new Set(['tba', 'tbd', 'staff', 'instructor', 'faculty']);
+// Degrees and titles that are not part of the name
+const HONORIFICS = /^(?:prof(?:essor)?|dr)\.?\s+/i;
+const DEGREES = /,?\s+(?:ph\.?\s?d|mba|m\.?d|j\.?d)\.?$/i;
+// Generational suffixes, which stay part of the name ("Jane Doe Jr.")
+const SUFFIX = /^(?:jr|sr|ii|iii|iv)\.?$/i;
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Clean one instructor spelling as it comes out of evdetail: HTML tags and
+ * entities removed, whitespace collapsed, titles and degrees dropped.
+ * @param {string} text
+ * @returns {string}
+ */
+const cleanInstructorText = (text) => {
+  if (typeof text !== 'string') {
+    return '';
+  }
+  return text
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&amp;/gi, '&')
+    .replace(/&#0?39;|&apos;/gi, '\'')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(HONORIFICS, '')
+    .replace(DEGREES, '')
+    .trim();
+};
+
+/**
+ * Whether a cleaned spelling looks like a person rather than template noise
+ * ("{{instructor}}"), an empty field or a placeholder such as "TBA".
+ * @param {string} name - Output of cleanInstructorText
+ * @returns {boolean}
+ */
+const isPlausibleName = (name) =>
+  name.length > 2 &&
+  name.length < MAX_NAME_LENGTH &&
+  !/[{}<>]/.test(name) &&
+  /[A-Za-z]/.test(name) &&
+  !PLACEHOLDER_NAMES.has(name.toLowerCase());
+
+const wordCount = (part) => part.split(' ').length;
+
+/**
+ * Read a list mixing full names and "Last, First" pairs ("Smith, John A.,
+ * Doe, Jane", "Jane Doe, Roe, John") left to right: a single word is a
+ * surname followed by its first names, a longer part is a full name.
+ * @param {Array<string>} parts - Comma-separated parts of a cleaned spelling
+ * @returns {Array<string>} Empty when a surname has no first name after it
+ */
+const readMixedList = (parts) => {
+  const people = [];
+  for (let index = 0; index < parts.length; index += 1) {
+    const part = parts[index];
+    if (SUFFIX.test(part)) {
+      // A suffix belongs to the name before it
+      if (people.length === 0) {
+        return [];
+      }
+      people[people.length - 1] += ` ${part}`;
+    } else if (wordCount(part) > 1) {
+      people.push(part);
+    } else {
+      // "Doe, Jr., Jane": the suffix sits between the surname and first name
+      const suffix = SUFFIX.test(parts[index + 1] || '') ? parts[index + 1] : null;
+      const first = parts[index + (suffix ? 2 : 1)];
+      if (!first || SUFFIX.test(first)) {
+        return [];
+      }
+      people.push(`${first} ${part}` + (suffix ? ` ${suffix}` : ''));
+      index += suffix ? 2 : 1;
+    }
+  }
+  return people;
+};
+
+/**
+ * The people named by a cleaned spelling, each as "First Last". A comma is
+ * read as "Last, First" ("Doe, Jane", "Doe, Jr., Jane") when one side is a
+ * single word, and as a list separator when every part is a full name
+ * ("Jane Doe, John Roe"); a list of single words is read in "Last, First"
+ * pairs ("Doe, Jane, Roe, John"), and a mix of both part by part (see
+ * readMixedList).
+ * @param {string} name - Output of cleanInstructorText
+ * @returns {Array<string>} Empty when the commas fit no reading
+ */
+const personNames = (name) => {
+  const parts = name.split(',').map(part => part.trim()).filter(Boolean);
+  const names = parts.filter(part => !SUFFIX.test(part));
+  const suffix = parts.find(part => SUFFIX.test(part));
+
+  if (names.length === 1 || (names.length === 2 && names.some(part => wordCount(part) === 1))) {
+    return [[...names].reverse().join(' ') + (suffix ? ` ${suffix}` : '')];
+  }
+  if (names.every(part => wordCount(part) > 1)) {
+    // A suffix in a list belongs to the name before it
+    return parts.reduce((people, part) => (SUFFIX.test(part) && people.length > 0
+      ? [...people.slice(0, -1), `${people[people.length - 1]} ${part}`]
+      : [...people, part]), []);
+  }
+  if (names.length % 2 === 0 && !suffix && names.every(part => wordCount(part) === 1)) {
+    return names.filter((part, index) => index % 2 === 0).map((last, index) => `${names[index * 2 + 1]} ${last}`);
+  }
+  return readMixedList(parts);
+};
+
+/**
+ * The spellings in one instructor_names entry: the entry itself for one
+ * person, or one "First Last" spelling per person of a comma-joined list.
+ * @param {string} text - An entry of instructor_names
+ * @returns {Array<string>}
+ */
+const splitInstructorList = (text) => {
+  const names = personNames(cleanInstructorText(text));
+  return names.length > 1 ? names : [text];
+};
+
+const capitalize = (word) =>
+  word.replace(/(^|[-'])([a-z])/g, (match, separator, letter) => separator + letter.toUpperCase());
+
+/**
+ * Normalize a spelling to "First M. Last" for display, and to a key that
+ * ignores case, accents, punctuation and middle initials, so "Doe, Jane",
+ * "Jane Q. Doe" and "JANE DOE" all get the key "jane doe".
+ * @param {string} text - Raw or cleaned spelling of one person
+ * @returns {{ displayName: string, key: string }|null} null for noise,
+ *   placeholders and lists of several people (see splitInstructorList)
+ */
+const normalizeInstructorName = (text) => {
+  const cleaned = cleanInstructorText(text);
+  if (!isPlausibleName(cleaned)) {
+    return null;
+  }
+
+  // "Last, First M." -> "First M. Last"
+  const people = personNames(cleaned);
+  if (people.length !== 1) {
+    return null;
+  }
+  const [name] = people;
+
+  let words = name.split(' ');
+  // All-caps or all-lower spellings get title case; mixed case is kept ("McDonald")
+  if (name === name.toUpperCase() || name === name.toLowerCase()) {
+    words = words.map(word => capitalize(word.toLowerCase()));
+  }
+  const displayName = words.join(' ');
+
+  const keyWords = words
+    .map(word => word
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9-]/g, ''))
+    .filter(Boolean);
+  // Middle initials only; a leading initial ("J. Doe") is all there is to go on
+  const key = keyWords
+    .filter((word, index) => index === 0 || index === keyWords.length - 1 || word.length > 1)
+    .join(' ');
+
+  return key ? { displayName, key } : null;
+};
+
+// Instructor ids are their key as a slug: "jane doe" -> "jane-doe"
+const instructorIdForKey = (key) => key.replace(/\s+/g, '-');
+
+/**
+ * Build the alias lookup from { "Canonical Name": ["Other spelling", ...] }:
+ * every spelling's key maps to the canonical name.
+ * @param {Object} aliases
+ * @returns {Map<string, { displayName: string, key: string }>}
+ */
+const createAliasMap = (aliases = {}) => {
+  const byKey = new Map();
+  Object.entries(aliases).forEach(([canonical, spellings]) => {
+    const target = normalizeInstructorName(canonical);
+    if (!target) {
+      throw new Error(`Instructor alias target "${canonical}" is not a name`);
+    }
+    [canonical, ...(spellings || [])].forEach(spelling => {
+      const alias = normalizeInstructorName(spelling);
+      if (alias) {
+        byKey.set(alias.key, target);
+      }
+    });
+  });
+  return byKey;
+};
+
+const aliasCache = new Map();
+
+/**
+ * Load the alias file (config.instructors.aliasesFile by default), shaped
+ *   { "aliases": { "Jane Doe": ["Janie Doe", "Jane Doe-Smith"] } }
+ * No file is shipped; without one configured there are no aliases.
+ * @param {string} [file]
+ * @returns {Map<string, { displayName: string, key: string }>}
+ */
+const loadInstructorAliases = (file = config.instructors.aliasesFile) => {
+  if (!file) {
+    return new Map();
+  }
+  if (!aliasCache.has(file)) {
+    const aliases = JSON.parse(fs.readFileSync(file, 'utf8')).aliases;
+    aliasCache.set(file, createAliasMap(aliases));
+  }
+  return aliasCache.get(file);
+};
+
+/**
+ * Resolve a spelling to an instructor of the directory, following aliases.
+ * @param {string} text - A spelling from instructor_names
+ * @param {Map} [aliases] - Defaults to loadInstructorAliases()
+ * @returns {{ id: string, displayName: string, spelling: string }|null}
+ */
+const resolveInstructor = (text, aliases = loadInstructorAliases()) => {
+  const normalized = normalizeInstructorName(text);
+  if (!normalized) {
+    return null;
+  }
+  const canonical = aliases.get(normalized.key) || normalized;
+  return {
+    id: instructorIdForKey(canonical.key),
+    displayName: canonical.displayName,
+    spelling: cleanInstructorText(text),
+  };
+};
+
+module.exports = {
+  cleanInstructorText,
+  isPlausibleName,
+  splitInstructorList,
+  normalizeInstructorName,
+  instructorIdForKey,
+  createAliasMap,
+  loadInstructorAliases,
+  resolveInstructor,
+};
@@ -0,0 +1,80 @@
+/**
+ * Union of several events' resources. The same resource booked for two
+ * partitions (same itemName and instruction) is listed once, with the
+ * larger quantity.
+ * @param {Array<Object>} sources
+ * @returns {Array<Object>}
+ */
+const unionResources = (sources) => {
+  const byKey = new Map();
+  sources.forEach(event => {
+    (event.resources || []).forEach(resource => {
+      const key = `${resource.itemName}\u0000${resource.instruction ?? ''}`;
+      const existing = byKey.get(key);
+      if (!existing || (resource.quantity ?? 0) > (existing.quantity ?? 0)) {
+        byKey.set(key, resource);
+      }
+    });
+  });
+  return [...byKey.values()];
+};
+
+/**
+ * Union of several events' instructor_names, in first-seen order.
+ * @param {Array<Object>} sources
+ * @returns {Array<string>|null} null when no source has instructors, like getInstructorNames
+ */
+const unionInstructors = (sources) => {
+  const names = [...new Set(sources.flatMap(event => event.instructor_names || []))];
+  return names.length > 0 ? names : null;
+};
+
+// What a merged event remembers about each source so it can be split again;
+// raw is left out to keep the row small
+const toSourceSnapshot = ({ raw, merged_sources, ...event }) => event;
+
+/**
+ * Merge several events into one. The result keeps the first source's id (so
+ * the row that already exists for it is updated rather than replaced), lists
+ * every source id in merged_from, carries the union of resources and
+ * instructors, and keeps a snapshot of each source in merged_sources so the
+ * merge can be undone with unmergeEvent. The other sources get no row of
+ * their own: the lineage lives only on the merged event, and a row stored
+ * for one of them before the merge is cancelled by the next sync like any
+ * event that left the scrape.
+ * @param {Array<Object>} sources - Events to merge, primary first
+ * @param {Object} [overrides] - Fields of the merged event (room_name, end_time...)
+ * @returns {Object} The merged event
+ */
+const buildMergedEvent = (sources, overrides = {}) => {
+  // Merging an already merged event flattens the lineage to the original sources
+  const originals = sources.flatMap(event => event.merged_sources || [toSourceSnapshot(event)]);
+
+  return {
+    ...sources[0],
+    resources: unionResources(sources),
+    instructor_names: unionInstructors(sources),
+    ...overrides,
+    merged_from: originals.map(event => event.id),
+    merged_sources: originals,
+  };
+};
+
+/**
+ * Undo a merge for auditing: the source events as they were before merging.
+ * @param {Object} mergedEvent
+ * @returns {Array<Object>} The sources, or the event itself if it was never merged
+ */
+const unmergeEvent = (mergedEvent) => {
+  if (!mergedEvent.merged_sources || mergedEvent.merged_sources.length === 0) {
+    return [mergedEvent];
+  }
+  return mergedEvent.merged_sources.map(source => ({ ...source }));
+};
+
+module.exports = {
+  unionResources,
+  unionInstructors,
+  buildMergedEvent,
+  unmergeEvent,
+};
@@ -0,0 +1,206 @@
+const fs = require('fs');
+const config = require('../../config');
+const { parseRoomName } = require('./index');
+
+const CAPACITY_SUFFIX = /\s*\((\d+)\)\s*$/;
+
+/**
+ * Read the capacity 25Live appends to some space names, e.g. "KGH1110 (70)".
+ * @param {string} subjectItemName
+ * @returns {number|null}
+ */
+const parseSpaceCapacity = (subjectItemName) => {
+  const match = (subjectItemName || '').match(CAPACITY_SUFFIX);
+  return match ? parseInt(match[1], 10) : null;
+};
+
+// Space names are compared without whitespace, case or the capacity suffix
+const normalizeSpaceName = (subjectItemName) =>
+  (subjectItemName || '').replace(CAPACITY_SUFFIX, '').replace(/\s+/g, '').toUpperCase();
+
+/**
+ * Build the lookup tables for a list of registry rooms. Each room is
+ *   { code, displayName, building, floor, capacity, recording, spaceIds, spaceNames }
+ * where code is the canonical room_name (e.g. "GH 1110") and spaceIds /
+ * spaceNames are the 25Live subject_itemId / subject_itemName values that
+ * refer to it. capacity and recording are null when not yet surveyed.
+ * 25live/collectRooms.js fills spaceIds and adds the spaces the scrape has
+ * seen that are not listed yet.
+ *
+ * Room groups describe divisible rooms whose partitions are booked together:
+ *   { code, displayName, rooms: [partition codes...], endTimeToleranceMinutes? }
+ * An event booked in every partition is merged into one event in the group
+ * (see mergeAdjacentRoomEvents).
+ * @param {Array<Object>} rooms
+ * @param {Array<Object>} [roomGroups]
+ * @returns {Object} The registry
+ */
+const createRoomRegistry = (rooms, roomGroups = []) => {
+  const byId = new Map();
+  const byName = new Map();
+
+  rooms.forEach(room => {
+    if (!room.code) {
+      throw new Error(`Room registry entry ${JSON.stringify(room)} has no code`);
+    }
+    (room.spaceIds || []).forEach(spaceId => byId.set(String(spaceId), room));
+    [room.code, ...(room.spaceNames || [])].forEach(name => byName.set(normalizeSpaceName(name), room));
+  });
+
+  roomGroups.forEach(group => {
+    if (!group.code || !Array.isArray(group.rooms) || group.rooms.length < 2) {
+      throw new Error(`Room group ${JSON.stringify(group)} needs a code and at least two rooms`);
+    }
+  });
+
+  return { rooms, groups: roomGroups, byId, byName };
+};
+
+const registryCache = new Map();
+
+/**
+ * Load the room registry file (config.rooms.registryFile by default).
+ * @param {string} [file]
+ * @returns {Object} The registry
+ */
+const loadRoomRegistry = (file = config.rooms.registryFile) => {
+  if (!registryCache.has(file)) {
+    const { rooms, roomGroups } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(rooms)) {
+      throw new Error(`Room registry file ${file} must contain a "rooms" array`);
+    }
+    registryCache.set(file, createRoomRegistry(rooms, roomGroups));
+  }
+  return registryCache.get(file);
+};
+
+/**
+ * Resolve a 25Live space to a room. The registry is searched by space id and
+ * then by space name; spaces missing from it fall back to parseRoomName so
+ * Global Hub rooms still get a room_name, but come back with known: false so
+ * the caller can report them.
+ * @param {number|string} subjectItemId
+ * @param {string} subjectItemName
+ * @param {Object} [registry] - Defaults to loadRoomRegistry()
+ * @returns {{ known: boolean, code: string|null, displayName: string|null,
+ *   building: string|null, floor: string|null, capacity: number|null, recording: boolean|null }}
+ */
+const lookupRoom = (subjectItemId, subjectItemName, registry = loadRoomRegistry()) => {
+  const room = (subjectItemId !== undefined && subjectItemId !== null && registry.byId.get(String(subjectItemId)))
+    || registry.byName.get(normalizeSpaceName(subjectItemName));
+  const parsedCapacity = parseSpaceCapacity(subjectItemName);
+
+  if (room) {
+    return {
+      known: true,
+      code: room.code,
+      displayName: room.displayName || room.code,
+      building: room.building ?? null,
+      floor: room.floor ?? null,
+      capacity: room.capacity ?? parsedCapacity,
+      recording: room.recording ?? null,
+    };
+  }
+
+  const code = parseRoomName(subjectItemName);
+  return {
+    known: false,
+    code,
+    displayName: code,
+    building: null,
+    floor: null,
+    capacity: parsedCapacity,
+    recording: null,
+  };
+};
+
+/**
+ * Merge the 25Live spaces found in stored events into registry rooms: a
+ * listed room gains the space ids and name spellings it is booked under,
+ * a capacity from the "(70)" suffix when it has none, and recording: true
+ * once an event there has booked a recording resource. Spaces the registry
+ * does not know are added with what the scrape can tell (code from
+ * parseRoomName or the space name); building and floor are left to survey.
+ * recording is never set to false, since no booking proves a room cannot
+ * record.
+ * @param {Array<Object>} rooms - The "rooms" array of the registry file
+ * @param {Array<Object>} events - Stored event rows (raw holds the 25Live item)
+ * @param {function(Object): boolean} isRecorded - Whether an event booked a recording
+ * @returns {{ rooms: Array<Object>, added: Array<Object>, updated: Array<Object> }}
+ */
+const collectSpaces = (rooms, events, isRecorded) => {
+  const spaces = new Map();
+  events.forEach(event => {
+    const { subject_itemId: spaceId, subject_itemName: spaceName } = event.raw || {};
+    if (spaceId === undefined || spaceId === null || !spaceName) {
+      return;
+    }
+    const space = spaces.get(String(spaceId)) || { spaceId, names: new Set(), recorded: false };
+    space.names.add(spaceName);
+    space.recorded = space.recorded || isRecorded(event);
+    spaces.set(String(spaceId), space);
+  });
+
+  const collected = rooms.map(room => ({ ...room }));
+  const added = [];
+  const updated = new Set();
+  let registry = createRoomRegistry(collected);
+
+  spaces.forEach(({ spaceId, names, recorded }) => {
+    const [firstName] = names;
+    const room = registry.byId.get(String(spaceId))
+      || [...names].map(name => registry.byName.get(normalizeSpaceName(name))).find(Boolean);
+    const capacity = [...names].map(parseSpaceCapacity).find(Number.isInteger) ?? null;
+    const spaceNames = [...new Set([...names].map(name => name.replace(CAPACITY_SUFFIX, '').trim()))];
+
+    if (!room) {
+      const code = parseRoomName(firstName) || spaceNames[0];
+      const entry = {
+        code,
+        displayName: code,
+        building: null,
+        floor: null,
+        capacity,
+        recording: recorded ? true : null,
+        spaceIds: [spaceId],
+        spaceNames,
+      };
+      collected.push(entry);
+      added.push(entry);
+      registry = createRoomRegistry(collected);
+      return;
+    }
+
+    const before = JSON.stringify(room);
+    if (!(room.spaceIds || []).map(String).includes(String(spaceId))) {
+      room.spaceIds = [...(room.spaceIds || []), spaceId];
+    }
+    spaceNames.forEach(name => {
+      const known = [room.code, ...(room.spaceNames || [])].map(normalizeSpaceName);
+      if (!known.includes(normalizeSpaceName(name))) {
+        room.spaceNames = [...(room.spaceNames || []), name];
+      }
+    });
+    if (room.capacity === null || room.capacity === undefined) {
+      room.capacity = capacity;
+    }
+    if (recorded && room.recording !== false) {
+      room.recording = true;
+    }
+    if (JSON.stringify(room) !== before && !added.includes(room)) {
+      updated.add(room);
+    }
+    registry = createRoomRegistry(collected);
+  });
+
+  return { rooms: collected, added, updated: [...updated] };
+};
+
+module.exports = {
+  parseSpaceCapacity,
+  normalizeSpaceName,
+  createRoomRegistry,
+  loadRoomRegistry,
+  lookupRoom,
+  collectSpaces,
+};
@@ -0,0 +1,61 @@
+const { isDateToken, parseScrapeDates } = require('./dateRange');
+
+const JSON_FLAG = '--json';
+const STAGES_FLAG = '--stages=';
+
+/**
+ * Whether the argument after a bare --json is its output path: "-" or
+ * anything that is neither another flag nor a date, so
+ * `--json out.json 2025-09-22` writes out.json while `--json 0` still
+ * prints to stdout and scrapes today.
+ * @param {string|undefined} value
+ * @returns {boolean}
+ */
+const isJsonPath = (value) =>
+  value === '-' ||
+  (value !== undefined && !value.startsWith('-') && !isDateToken(value));
+
+/**
+ * Parse the CLI arguments of a scrape run: the run-level flags and the dates
+ * to cover (see parseScrapeDates).
+ *
+ *   --dry-run           fetch and transform, print what the sync would change, write nothing
+ *   --json[=]<path>     also write the sync plans as JSON (use "-" or bare --json for stdout)
+ *   --force             apply deletions even when they trip the mass-deletion guard
+ *   --stages=a,b        transform pipeline stages for this run (default: config.pipeline.stages)
+ * @param {Array<string>} args - process.argv.slice(2)
+ * @param {import('dayjs').Dayjs} [today]
+ * @returns {{ dryRun: boolean, jsonOutput: string|null, force: boolean,
+ *   stages: string|undefined, dates: Array<string> }}
+ */
+const parseRunOptions = (args, today) => {
+  const dateArgs = [];
+  let jsonOutput = null;
+  let stages;
+
+  for (let index = 0; index < args.length; index += 1) {
+    const arg = args[index];
+
+    if (arg === JSON_FLAG) {
+      jsonOutput = isJsonPath(args[index + 1]) ? args[++index] : '-';
+    } else if (arg.startsWith(`${JSON_FLAG}=`)) {
+      jsonOutput = arg.slice(JSON_FLAG.length + 1) || '-';
+    } else if (arg.startsWith(STAGES_FLAG)) {
+      stages = arg.slice(STAGES_FLAG.length);
+    } else {
+      dateArgs.push(arg);
+    }
+  }
+
+  return {
+    dryRun: args.includes('--dry-run'),
+    force: args.includes('--force'),
+    jsonOutput,
+    stages,
+    dates: parseScrapeDates(dateArgs, today),
+  };
+};
+
+module.exports = {
+  parseRunOptions,
+};
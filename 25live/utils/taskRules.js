@@ -0,0 +1,371 @@
+const fs = require('fs');
+const config = require('../../config');
+
+const ANCHORS = ['start', 'end'];
+const CLOCK_TIME = /^\d{2}:\d{2}(:\d{2})?$/;
+const SECONDS_PER_DAY = 24 * 3600;
+
+/**
+ * Convert a HH:MM[:SS] string into seconds from midnight.
+ * @param {string} timeStr
+ * @returns {number|null}
+ */
+const parseTimeToSeconds = (timeStr) => {
+  if (typeof timeStr !== 'string') {
+    return null;
+  }
+
+  const parts = timeStr.split(':').map(part => Number(part));
+
+  if (parts.some(Number.isNaN)) {
+    return null;
+  }
+
+  const [hours = 0, minutes = 0, seconds = 0] = parts;
+
+  return (hours * 3600) + (minutes * 60) + Math.floor(seconds);
+};
+
+/**
+ * Convert seconds from midnight into a HH:MM:SS string.
+ * @param {number} totalSeconds
+ * @returns {string}
+ */
+const formatSecondsToTime = (totalSeconds) => {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = Math.floor(totalSeconds % 60);
+
+  return [
+    hours.toString().padStart(2, '0'),
+    minutes.toString().padStart(2, '0'),
+    seconds.toString().padStart(2, '0'),
+  ].join(':');
+};
+
+/**
+ * Build a task id that depends only on the event, the task type and when the
+ * task is due, so regenerating a day's tasks always yields the same ids.
+ * @param {string} eventId
+ * @param {string} taskType - e.g. "RECORDING CHECK"
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM:SS
+ * @returns {string} e.g. "1234-5678-90:recording-check:2025-09-22T09:30:00"
+ */
+const generateTaskId = (eventId, taskType, date, time) => {
+  const typeSlug = taskType.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  return `${eventId}:${typeSlug}:${date}T${time}`;
+};
+
+const compilePattern = (ruleName, field, pattern) => {
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (error) {
+    throw new Error(`Task rule "${ruleName}": invalid ${field} pattern "${pattern}": ${error.message}`);
+  }
+};
+
+const compileAnchor = (ruleName, field, point = {}) => {
+  const anchor = point.anchor || 'start';
+  if (!ANCHORS.includes(anchor)) {
+    throw new Error(`Task rule "${ruleName}": ${field}.anchor must be one of ${ANCHORS.join(', ')}, got "${anchor}"`);
+  }
+  const offsetMinutes = point.offsetMinutes ?? 0;
+  if (!Number.isFinite(offsetMinutes)) {
+    throw new Error(`Task rule "${ruleName}": ${field}.offsetMinutes must be a number`);
+  }
+  return { anchor, offsetSeconds: offsetMinutes * 60 };
+};
+
+const compileMatch = (ruleName, field, match = {}) => {
+  ['startsAfter', 'startsBefore'].forEach(key => {
+    if (match[key] !== undefined && !CLOCK_TIME.test(match[key])) {
+      throw new Error(`Task rule "${ruleName}": ${field}.${key} must be HH:MM, got "${match[key]}"`);
+    }
+  });
+
+  return {
+    eventTypes: match.eventType === undefined ? null : [].concat(match.eventType),
+    roomName: match.roomName ? compilePattern(ruleName, `${field}.roomName`, match.roomName) : null,
+    resource: match.resource ? compilePattern(ruleName, `${field}.resource`, match.resource) : null,
+    startsAfter: match.startsAfter ? parseTimeToSeconds(match.startsAfter) : null,
+    startsBefore: match.startsBefore ? parseTimeToSeconds(match.startsBefore) : null,
+    lastOfDay: match.lastOfDay ?? null,
+  };
+};
+
+const compileEmit = (ruleName, field, emit = {}) => {
+  if (!emit.at && !emit.every) {
+    throw new Error(`Task rule "${ruleName}": ${field} needs "at" and/or "every"`);
+  }
+  if (emit.every && !(emit.every.minutes > 0)) {
+    throw new Error(`Task rule "${ruleName}": ${field}.every.minutes must be a positive number`);
+  }
+
+  return {
+    at: (emit.at || []).map((point, index) => compileAnchor(ruleName, `${field}.at[${index}]`, point)),
+    every: emit.every ? {
+      intervalSeconds: emit.every.minutes * 60,
+      from: compileAnchor(ruleName, `${field}.every.from`, emit.every.from),
+      until: compileAnchor(ruleName, `${field}.every.until`, { anchor: 'end', ...emit.every.until }),
+      atLeastOne: Boolean(emit.every.atLeastOne),
+    } : null,
+  };
+};
+
+// An override replaces "at" outright and adjusts "every" key by key (null
+// turns it off), so an override can change just the cadence
+const mergeEmit = (base = {}, override = {}) => ({
+  ...base,
+  ...override,
+  every: override.every === undefined ? base.every : override.every && { ...base.every, ...override.every },
+});
+
+/**
+ * Validate a rule from the rules file and precompile its patterns.
+ *
+ * A rule looks like:
+ *   {
+ *     "name": "av-setup",
+ *     "taskType": "SETUP",
+ *     "match": {
+ *       "eventType": ["KEC"],             // any of these event_type values
+ *       "roomName": "^GH 1",              // regex on room_name
+ *       "resource": "MICROPHONE|LECTERN", // regex on a resource itemName
+ *       "startsAfter": "08:00",           // start_time >= this
+ *       "startsBefore": "18:00",          // start_time < this
+ *       "lastOfDay": true                 // last event to end in its room that day
+ *     },
+ *     "emit": {
+ *       "at": [{ "anchor": "start", "offsetMinutes": -30 }],
+ *       "every": {
+ *         "minutes": 30,
+ *         "from": { "anchor": "start" },
+ *         "until": { "anchor": "end" },
+ *         "atLeastOne": true              // events shorter than the cadence still get one
+ *       }
+ *     },
+ *     "overrides": [
+ *       { "match": { "roomName": "^GH L" }, "emit": { "every": { "minutes": 15 } } }
+ *     ]
+ *   }
+ * Every match condition is optional and all of them must hold. Patterns are
+ * case-insensitive. The first override whose match holds replaces parts of
+ * "emit" for that event (see mergeEmit).
+ * @param {Object} rule
+ * @returns {Object} The compiled rule
+ */
+const compileTaskRule = (rule) => {
+  const name = rule?.name;
+  if (!name || !rule.taskType) {
+    throw new Error(`Task rule ${JSON.stringify(name || rule)} needs both a name and a taskType`);
+  }
+
+  return {
+    name,
+    taskType: rule.taskType,
+    match: compileMatch(name, 'match', rule.match),
+    emit: compileEmit(name, 'emit', rule.emit),
+    overrides: (rule.overrides || []).map((override, index) => ({
+      match: compileMatch(name, `overrides[${index}].match`, override.match),
+      emit: compileEmit(name, `overrides[${index}].emit`, mergeEmit(rule.emit, override.emit)),
+    })),
+  };
+};
+
+const rulesCache = new Map();
+
+/**
+ * Load and compile the task rules file (config.tasks.rulesFile by default).
+ * @param {string} [file]
+ * @returns {Array<Object>} Compiled rules
+ */
+const loadTaskRules = (file = config.tasks.rulesFile) => {
+  if (!rulesCache.has(file)) {
+    const { rules } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(rules)) {
+      throw new Error(`Task rules file ${file} must contain a "rules" array`);
+    }
+    rulesCache.set(file, rules.map(compileTaskRule));
+  }
+  return rulesCache.get(file);
+};
+
+/**
+ * Ids of the last event to end in each room, used by "lastOfDay" rules.
+ * Ties on the end time go to the event that started last.
+ * @param {Array} events - A single day's events
+ * @returns {Set<string>}
+ */
+const findLastEventsOfDay = (events) => {
+  const lastByRoom = new Map();
+
+  events.forEach(event => {
+    if (!event.room_name) {
+      return;
+    }
+    const current = lastByRoom.get(event.room_name);
+    const end = parseTimeToSeconds(event.end_time) ?? -1;
+    const start = parseTimeToSeconds(event.start_time) ?? -1;
+    if (!current || end > current.end || (end === current.end && start > current.start)) {
+      lastByRoom.set(event.room_name, { id: event.id, end, start });
+    }
+  });
+
+  return new Set([...lastByRoom.values()].map(last => last.id));
+};
+
+const findMatchingResource = (pattern, event) =>
+  (event.resources || []).find(item => pattern.test(item?.itemName || ''));
+
+const matchesConditions = (match, event, isLastOfDay) => {
+  if (match.eventTypes && !match.eventTypes.includes(event.event_type)) {
+    return false;
+  }
+  if (match.roomName && !match.roomName.test(event.room_name || '')) {
+    return false;
+  }
+  if (match.lastOfDay !== null && match.lastOfDay !== isLastOfDay) {
+    return false;
+  }
+
+  const startSeconds = parseTimeToSeconds(event.start_time);
+  if (match.startsAfter !== null && !(startSeconds >= match.startsAfter)) {
+    return false;
+  }
+  if (match.startsBefore !== null && !(startSeconds < match.startsBefore)) {
+    return false;
+  }
+
+  return !match.resource || Boolean(findMatchingResource(match.resource, event));
+};
+
+/**
+ * Check whether a rule applies to an event.
+ * @param {Object} rule - Compiled rule
+ * @param {Object} event - Processed event
+ * @param {Object} [context]
+ * @param {boolean} [context.isLastOfDay]
+ * @returns {{ resource: Object|null, emit: Object }|null} The matching
+ *   resource (for resource rules) and the emit settings after overrides, or
+ *   null when the rule does not apply
+ */
+const matchTaskRule = (rule, event, { isLastOfDay = false } = {}) => {
+  if (!matchesConditions(rule.match, event, isLastOfDay)) {
+    return null;
+  }
+
+  const override = rule.overrides.find(candidate => matchesConditions(candidate.match, event, isLastOfDay));
+  return {
+    resource: rule.match.resource ? findMatchingResource(rule.match.resource, event) : null,
+    emit: override ? override.emit : rule.emit,
+  };
+};
+
+/**
+ * The times (seconds from midnight) a rule's tasks are due for an event.
+ * "every" emits one task per full interval between from and until, so a
+ * 90 minute event with a 30 minute interval gets checks at +0, +30 and +60;
+ * with atLeastOne a shorter event still gets one at "from".
+ * @param {Object} emit - Compiled emit settings (rule.emit or an override's)
+ * @param {Object} event - Processed event
+ * @returns {Array<number>}
+ */
+const taskTimesForRule = (emit, event) => {
+  const anchors = {
+    start: parseTimeToSeconds(event.start_time),
+    end: parseTimeToSeconds(event.end_time),
+  };
+  if (anchors.start === null || anchors.end === null || anchors.end <= anchors.start) {
+    return [];
+  }
+
+  const resolve = point => anchors[point.anchor] + point.offsetSeconds;
+  const times = emit.at.map(resolve);
+
+  if (emit.every) {
+    const { intervalSeconds, from, until, atLeastOne } = emit.every;
+    const fromSeconds = resolve(from);
+    const untilSeconds = resolve(until);
+    let count = 0;
+    for (let time = fromSeconds; time + intervalSeconds <= untilSeconds; time += intervalSeconds) {
+      times.push(time);
+      count += 1;
+    }
+    if (count === 0 && atLeastOne) {
+      times.push(fromSeconds);
+    }
+  }
+
+  // Tasks that would fall on another day are dropped rather than wrapped
+  return [...new Set(times)]
+    .filter(time => time >= 0 && time < SECONDS_PER_DAY)
+    .sort((a, b) => a - b);
+};
+
+/**
+ * Build the task rows one rule emits for one event.
+ * @param {Object} rule - Compiled rule
+ * @param {Object} event - Processed event
+ * @param {Object} [context] - See matchTaskRule
+ * @returns {Array<Object>}
+ */
+const applyTaskRule = (rule, event, context) => {
+  const matched = matchTaskRule(rule, event, context);
+  if (!matched) {
+    return [];
+  }
+
+  const now = new Date().toISOString();
+  return taskTimesForRule(matched.emit, event).map(seconds => {
+    const time = formatSecondsToTime(seconds);
+    return {
+      id: generateTaskId(event.id, rule.taskType, event.date, time),
+      event_id: event.id,
+      task_type: rule.taskType,
+      resource_item_name: matched.resource?.itemName || null,
+      date: event.date,
+      time,
+      created_at: now,
+      updated_at: now,
+    };
+  });
+};
+
+/**
+ * Run every rule over a day's events. Tasks with the same id (same event,
+ * type and time) are only emitted once.
+ * @param {Array} events - Processed events for one day
+ * @param {Array} [rules] - Compiled rules, defaults to loadTaskRules()
+ * @returns {Array<Object>} Task rows
+ */
+const generateTasks = (events, rules = loadTaskRules()) => {
+  const lastOfDay = findLastEventsOfDay(events);
+  const tasksById = new Map();
+
+  events.forEach(event => {
+    const context = { isLastOfDay: lastOfDay.has(event.id) };
+    rules.forEach(rule => {
+      applyTaskRule(rule, event, context).forEach(task => {
+        if (!tasksById.has(task.id)) {
+          tasksById.set(task.id, task);
+        }
+      });
+    });
+  });
+
+  return [...tasksById.values()];
+};
+
+module.exports = {
+  parseTimeToSeconds,
+  formatSecondsToTime,
+  generateTaskId,
+  compileTaskRule,
+  loadTaskRules,
+  findLastEventsOfDay,
+  matchTaskRule,
+  taskTimesForRule,
+  applyTaskRule,
+  generateTasks,
+};
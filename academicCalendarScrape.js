@@ -1,11 +1,10 @@
 // academicCalendarScrape.js
 const https = require('https');
 const fs = require('fs');
-const { createClient } = require('@supabase/supabase-js');
 const config = require('./config');
+const { createStorage } = require('./storage');
 
-// Initialize Supabase client
-const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
+const ACADEMIC_CALENDAR_TABLE = 'academic_calendar';
 
 // Function to decode HTML entities
 function decodeHtmlEntities(text) {
@@ -251,50 +250,34 @@ async function parseAcademicCalendar(html) {
     return parsedData;
 }
 
-async function saveToSupabase(parsedData) {
+async function saveCalendarEntries(storage, parsedData) {
     try {
-        console.log(`Saving ${parsedData.results.length} academic calendar entries to Supabase...`);
+        console.log(`Saving ${parsedData.results.length} academic calendar entries to ${storage.name}...`);
         
         if (parsedData.results.length === 0) {
             console.log('No results to save');
             return;
         }
         
-        const { data: result, error } = await supabase
-            .from('academic_calendar')
-            .upsert(parsedData.results, {
-                onConflict: 'id',  // Use the unique ID for conflict resolution
-                ignoreDuplicates: false
-            });
-        
-        if (error) {
-            console.error('Supabase error details:', error);
-            throw error;
-        }
+        await storage.upsert(ACADEMIC_CALENDAR_TABLE, parsedData.results, {
+            key: 'id'  // Use the unique ID for conflict resolution
+        });
         
-        console.log(`Successfully upserted ${parsedData.results.length} academic calendar entries to Supabase`);
+        console.log(`Successfully upserted ${parsedData.results.length} academic calendar entries`);
         console.log('Note: Duplicate entries (same ID) were updated rather than creating new rows');
         
     } catch (error) {
-        console.error('Error saving to Supabase:', error);
+        console.error(`Error saving to ${storage.name}:`, error);
         // Don't throw - just log the error
         console.log('Continuing without saving to database...');
     }
 }
 
-async function clearAcademicCalendarData() {
+async function clearAcademicCalendarData(storage) {
     try {
         console.log('Clearing existing academic calendar data...');
         
-        const { error } = await supabase
-            .from('academic_calendar')
-            .delete()
-            .neq('id', 0); // Delete all records
-        
-        if (error) {
-            console.error('Error clearing academic calendar data:', error);
-            throw error;
-        }
+        await storage.clear(ACADEMIC_CALENDAR_TABLE);
         
         console.log('Successfully cleared academic calendar data');
         
@@ -308,8 +291,12 @@ async function main() {
     try {
         console.log('Starting academic calendar scrape...');
         
+        config.validate({ requireNorthwestern: false });
+        const storage = createStorage();
+        console.log(`Using storage backend: ${storage.name}`);
+        
         // Clear existing data first
-        await clearAcademicCalendarData();
+        await clearAcademicCalendarData(storage);
         
         // Fetch the HTML
         const html = await fetchAcademicCalendar();
@@ -317,8 +304,8 @@ async function main() {
         // Parse the HTML
         const parsedData = await parseAcademicCalendar(html);
         
-        // Save to Supabase (optional - will continue even if this fails)
-        await saveToSupabase(parsedData);
+        // Save to storage (optional - will continue even if this fails)
+        await saveCalendarEntries(storage, parsedData);
         
         console.log('Academic calendar scrape completed successfully!');
         
@@ -4,6 +4,7 @@
 
 // Load environment variables from .env file
 require('dotenv').config();
+const path = require('path');
 
 const config = {
   // Supabase configuration
@@ -12,6 +13,56 @@ const config = {
     serviceKey: process.env.SUPABASE_SERVICE_ROLE_KEY
   },
   
+  // Persistence backend: 'supabase', or 'json' / 'sqlite' for local runs
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'supabase',
+    dir: process.env.STORAGE_DIR || '.data',
+    sqliteFile: process.env.SQLITE_FILE || '.data/glance.sqlite'
+  },
+  
+  // Safeguards for the events sync
+  sync: {
+    // Block a sync that would cancel more than this many events for one date...
+    maxDeletes: parseInt(process.env.SYNC_MAX_DELETES || '25', 10),
+    // ...or more than this share of the rows already stored for it
+    maxDeletePercent: parseFloat(process.env.SYNC_MAX_DELETE_PERCENT || '50'),
+    // Days with fewer stored rows than this skip the percentage check
+    minRowsForPercent: parseInt(process.env.SYNC_GUARD_MIN_ROWS || '10', 10),
+    // 'abort' writes nothing; 'quarantine' applies inserts/updates but holds the cancellations
+    guardMode: process.env.SYNC_GUARD_MODE || 'abort',
+    // Cancelled events are kept this long before purgeCancelledEvents.js removes them
+    cancelledRetentionDays: parseInt(process.env.CANCELLED_RETENTION_DAYS || '30', 10)
+  },
+  
+  // 25Live spaces we know about (see 25live/utils/roomRegistry.js)
+  rooms: {
+    registryFile: process.env.ROOM_REGISTRY_FILE || path.join(__dirname, '25live', 'definitions', 'rooms.json'),
+    // Events in a combinable room group may end this far apart and still be
+    // merged (the merged event ends at the latest); the old merge ignored end
+    // times altogether, so keep this loose enough for a partition released early
+    mergeEndToleranceMinutes: parseInt(process.env.ROOM_MERGE_END_TOLERANCE_MINUTES || '10', 10)
+  },
+  
+  // Ordered stages transformRawEventsToEvents runs over the scraped events:
+  // filter, mergeRooms, dropNonAcademic, combineKEC (off by default)
+  pipeline: {
+    stages: process.env.PIPELINE_STAGES || 'filter,mergeRooms,dropNonAcademic'
+  },
+  
+  // Technician task generation
+  tasks: {
+    // Declarative rules turning events into tasks (see 25live/utils/taskRules.js)
+    rulesFile: process.env.TASK_RULES_FILE || path.join(__dirname, '25live', 'definitions', 'taskRules.json')
+  },
+  
+  // Instructor directory (see 25live/utils/instructors.js)
+  instructors: {
+    // Known alternative spellings of the same faculty member, as
+    //   { "aliases": { "Jane Doe": ["Janie Doe"] } }
+    // Optional and not shipped: unset, every spelling stands on its own
+    aliasesFile: process.env.INSTRUCTOR_ALIASES_FILE
+  },
+  
   // Northwestern credentials
   northwestern: {
     username: process.env.NORTHWESTERN_USERNAME,
@@ -20,15 +71,35 @@ const config = {
   
   // Panopto configuration
   panopto: {
-    server: 'https://kellogg-northwestern.hosted.panopto.com',
+    // Point PANOPTO_SERVER at a stub server to run the verification locally
+    server: process.env.PANOPTO_SERVER || 'https://kellogg-northwestern.hosted.panopto.com',
     searchTimeout: 10000,
-    navigationTimeout: 15000
+    navigationTimeout: 15000,
+    // API client of type "User Based Server Application" plus the account it acts as
+    clientId: process.env.PANOPTO_CLIENT_ID,
+    clientSecret: process.env.PANOPTO_CLIENT_SECRET,
+    username: process.env.PANOPTO_USERNAME,
+    password: process.env.PANOPTO_PASSWORD,
+    // Folder holding the scheduled classroom recordings; unset searches by recorder name
+    folderId: process.env.PANOPTO_FOLDER_ID,
+    // 25Live times are local; Panopto reports UTC
+    timezone: 'America/Chicago',
+    // How far a session may start or end from the event and still match it
+    matchToleranceMinutes: parseInt(process.env.PANOPTO_MATCH_TOLERANCE_MINUTES || '15', 10),
+    // A finished recording shorter than this share of the event is "too_short"
+    minCoverage: parseFloat(process.env.PANOPTO_MIN_COVERAGE || '0.9')
   },
   
   // 25Live configuration
   twentyFiveLive: {
     baseUrl: 'https://25live.collegenet.com',
-    apiEndpoint: 'https://25live.collegenet.com/25live/data/northwestern/run'
+    apiEndpoint: 'https://25live.collegenet.com/25live/data/northwestern/run',
+    // Encrypted cache of the signed-in browser session, reused between runs.
+    // Leave TWENTYFIVELIVE_SESSION_KEY unset to always sign in from scratch.
+    session: {
+      file: process.env.TWENTYFIVELIVE_SESSION_FILE || '.25live-session.enc',
+      key: process.env.TWENTYFIVELIVE_SESSION_KEY
+    }
   },
   
   // Browser configuration
@@ -37,14 +108,23 @@ const config = {
     timeout: 30000
   },
   
+  // Where failed sign-ins leave their screenshot and HTML snapshot
+  diagnostics: {
+    dir: process.env.DIAGNOSTICS_DIR || 'diagnostics'
+  },
+  
   // Validation
-  validate() {
-    const required = [
-      'SUPABASE_URL',
-      'SUPABASE_SERVICE_ROLE_KEY',
-      'NORTHWESTERN_USERNAME',
-      'NORTHWESTERN_PASSWORD'
-    ];
+  validate({ requireNorthwestern = true } = {}) {
+    const required = [];
+    
+    // Local storage drivers need no credentials at all
+    if (this.storage.driver === 'supabase') {
+      required.push('SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY');
+    }
+    
+    if (requireNorthwestern) {
+      required.push('NORTHWESTERN_USERNAME', 'NORTHWESTERN_PASSWORD');
+    }
     
     const missing = required.filter(key => {
       return !process.env[key];
@@ -0,0 +1,185 @@
+// client.js
+const config = require("../config");
+
+/**
+ * Everything the recording verification needs from Panopto. Any object with
+ * this shape can stand in for the HTTP client, and the HTTP client itself can
+ * be pointed at a local stub server with PANOPTO_SERVER.
+ *
+ * @typedef {Object} PanoptoSession
+ * @property {string} id
+ * @property {string} name
+ * @property {string|null} folderId
+ * @property {string} startTime - ISO timestamp (UTC)
+ * @property {number|null} durationSeconds - null until Panopto has recorded something
+ *
+ * @typedef {Object} PanoptoClient
+ * @property {string} name - Shown in logs
+ * @property {function({ folderId?: string, query?: string, from: Date, to: Date }): Promise<SessionLookup>} findSessions
+ *   Sessions starting between `from` and `to`, from the folder when one is
+ *   given, otherwise from a search for `query`. The HTTP client reads a
+ *   folder once and answers later calls for it from that listing
+ *
+ * @typedef {Object} SessionLookup
+ * @property {Array<PanoptoSession>} sessions
+ * @property {boolean} complete - false when the listing was cut off, so a
+ *   session that is not in it may still exist
+ */
+
+const API_PATH = "/Panopto/api/v1";
+const TOKEN_PATH = "/Panopto/oauth2/connect/token";
+// The API cannot filter a folder by start time; the listing comes newest
+// created first, so bound how much of it is read
+const MAX_PAGES = 20;
+
+const toSession = (result) => ({
+  id: result.Id,
+  name: result.Name || "",
+  folderId: result.Folder || result.FolderDetails?.Id || null,
+  startTime: result.StartTime,
+  durationSeconds:
+    typeof result.Duration === "number" && result.Duration > 0
+      ? result.Duration
+      : null,
+});
+
+/**
+ * Panopto client for the public REST API, authenticating with the OAuth2
+ * password grant of a "User Based Server Application" API client.
+ * @param {Object} [options] - Overrides for config.panopto
+ * @returns {PanoptoClient}
+ */
+function createHttpPanoptoClient(options = {}) {
+  const settings = { ...config.panopto, ...options };
+  const server = settings.server.replace(/\/+$/, "");
+  let token = null;
+  // folderId -> Promise of the folder's sessions, read once per client
+  const folderListings = new Map();
+
+  const request = async (url, init = {}) => {
+    const response = await fetch(url, {
+      ...init,
+      signal: AbortSignal.timeout(settings.searchTimeout),
+    });
+    if (!response.ok) {
+      throw new Error(
+        `Panopto request ${url} failed: ${response.status} ${response.statusText}`
+      );
+    }
+    return response.json();
+  };
+
+  const getToken = async () => {
+    if (token && token.expiresAt > Date.now()) {
+      return token.value;
+    }
+
+    const missing = ["clientId", "clientSecret", "username", "password"].filter(
+      (key) => !settings[key]
+    );
+    if (missing.length > 0) {
+      throw new Error(
+        `Missing Panopto credentials: ${missing.join(
+          ", "
+        )} (set PANOPTO_CLIENT_ID, PANOPTO_CLIENT_SECRET, PANOPTO_USERNAME and PANOPTO_PASSWORD)`
+      );
+    }
+
+    const basic = Buffer.from(
+      `${settings.clientId}:${settings.clientSecret}`
+    ).toString("base64");
+    const body = await request(`${server}${TOKEN_PATH}`, {
+      method: "POST",
+      headers: {
+        Authorization: `Basic ${basic}`,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: new URLSearchParams({
+        grant_type: "password",
+        username: settings.username,
+        password: settings.password,
+        scope: "api",
+      }).toString(),
+    });
+
+    // Refresh a minute early rather than racing the expiry
+    token = {
+      value: body.access_token,
+      expiresAt: Date.now() + ((body.expires_in || 3600) - 60) * 1000,
+    };
+    return token.value;
+  };
+
+  const fetchPages = async (path, params) => {
+    const results = [];
+    for (let pageNumber = 0; pageNumber < MAX_PAGES; pageNumber++) {
+      const query = new URLSearchParams({ ...params, pageNumber });
+      const body = await request(`${server}${API_PATH}${path}?${query}`, {
+        headers: { Authorization: `Bearer ${await getToken()}` },
+      });
+      const page = body.Results || [];
+      if (page.length === 0) {
+        return { sessions: results.map(toSession), complete: true };
+      }
+      results.push(...page);
+    }
+
+    console.warn(
+      `Panopto ${path}: stopped after ${MAX_PAGES} pages, older sessions were not read`
+    );
+    return { sessions: results.map(toSession), complete: false };
+  };
+
+  // Walking the folder is up to MAX_PAGES requests, so every event of a run
+  // shares one listing instead of reading it again
+  const listFolder = (folderId) => {
+    if (!folderListings.has(folderId)) {
+      const listing = fetchPages(
+        `/folders/${encodeURIComponent(folderId)}/sessions`,
+        { sortField: "CreatedDate", sortOrder: "Desc" }
+      );
+      // A failed read is retried by the next call rather than cached
+      listing.catch(() => folderListings.delete(folderId));
+      folderListings.set(folderId, listing);
+    }
+    return folderListings.get(folderId);
+  };
+
+  async function findSessions({ folderId, query, from, to }) {
+    let listing;
+    if (folderId) {
+      listing = await listFolder(folderId);
+    } else if (query) {
+      listing = await fetchPages("/sessions/search", { searchQuery: query });
+    } else {
+      throw new Error("findSessions needs a folderId or a query");
+    }
+
+    return {
+      sessions: listing.sessions.filter((session) => {
+        const start = new Date(session.startTime);
+        return start >= from && start <= to;
+      }),
+      complete: listing.complete,
+    };
+  }
+
+  return {
+    name: `Panopto (${server})`,
+    findSessions,
+  };
+}
+
+/**
+ * The Panopto client used by the CLI scripts.
+ * @param {Object} [options] - Overrides for config.panopto
+ * @returns {PanoptoClient}
+ */
+function createPanoptoClient(options) {
+  return createHttpPanoptoClient(options);
+}
+
+module.exports = {
+  createPanoptoClient,
+  createHttpPanoptoClient,
+};
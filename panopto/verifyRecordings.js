@@ -0,0 +1,268 @@
+// verifyRecordings.js
+const dayjs = require("dayjs");
+const utc = require("dayjs/plugin/utc");
+const timezone = require("dayjs/plugin/timezone");
+const config = require("../config");
+const { createStorage } = require("../storage");
+const { createPanoptoClient } = require("./client");
+const { EVENTS_TABLE } = require("../25live/syncEvents");
+const { ACTIVE } = require("../25live/syncPlan");
+const { parseScrapeDates } = require("../25live/utils/dateRange");
+const {
+  hasRecordingResource,
+} = require("../25live/utils/createRecordingTasks");
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// recording: Panopto has a session covering the event (live or finished)
+// unverifiable: Panopto could not be asked (no room to search for) or only
+// answered in part, so a missing session proves nothing
+const RECORDING_STATUSES = {
+  SCHEDULED: "scheduled",
+  RECORDING: "recording",
+  MISSING: "missing",
+  TOO_SHORT: "too_short",
+  UNVERIFIABLE: "unverifiable",
+};
+
+// Recorder names as they appear in session names, e.g. "KGH1430 ACCT-451"
+const RECORDER_PATTERN = /\bK[A-Z]{1,4}\d{3,4}[A-Z]?\b/g;
+
+const normalizeName = (text) => (text || "").replace(/\s+/g, "").toUpperCase();
+
+/**
+ * The remote recorder for an event's room. Recorders are named after the
+ * 25Live space, e.g. room "GH 1130" is recorder "KGH1130".
+ * @param {Object} event
+ * @returns {string|null}
+ */
+const recorderNameForEvent = (event) =>
+  event.room_name ? `K${normalizeName(event.room_name)}` : null;
+
+/**
+ * The event's start and end as absolute times.
+ * @param {Object} event - Stored event (date, start_time, end_time are local)
+ * @param {string} [tz]
+ * @returns {{ start: Date, end: Date }}
+ */
+const eventWindow = (event, tz = config.panopto.timezone) => ({
+  start: dayjs.tz(`${event.date} ${event.start_time}`, tz).toDate(),
+  end: dayjs.tz(`${event.date} ${event.end_time}`, tz).toDate(),
+});
+
+/**
+ * Pick the Panopto session that belongs to an event: it must start within
+ * the tolerance of the event start and must not be named after another
+ * room's recorder. Sessions named after the room's recorder win, and ties go
+ * to the closest start.
+ * @param {Array<Object>} sessions - PanoptoSession objects
+ * @param {Object} event
+ * @param {Object} [options]
+ * @param {number} [options.toleranceMinutes]
+ * @returns {Object|null}
+ */
+function matchSession(
+  sessions,
+  event,
+  { toleranceMinutes = config.panopto.matchToleranceMinutes } = {}
+) {
+  const { start } = eventWindow(event);
+  const toleranceMs = toleranceMinutes * 60 * 1000;
+  const recorder = recorderNameForEvent(event);
+  const mentionsRoom = (session) =>
+    Boolean(recorder) &&
+    (normalizeName(session.name).includes(recorder) ||
+      normalizeName(session.name).includes(normalizeName(event.room_name)));
+  const namesOtherRoom = (session) => {
+    const recorders = (session.name || "")
+      .toUpperCase()
+      .match(RECORDER_PATTERN);
+    return Boolean(recorder && recorders) && !recorders.includes(recorder);
+  };
+
+  const candidates = sessions
+    .filter((session) => !namesOtherRoom(session))
+    .map((session) => ({
+      session,
+      distance: Math.abs(new Date(session.startTime) - start),
+    }))
+    .filter(({ distance }) => distance <= toleranceMs)
+    .sort(
+      (a, b) =>
+        Number(mentionsRoom(b.session)) - Number(mentionsRoom(a.session)) ||
+        a.distance - b.distance
+    );
+
+  return candidates.length > 0 ? candidates[0].session : null;
+}
+
+/**
+ * Decide the verification status of an event from its matched session.
+ * @param {Object} event
+ * @param {Object|null} session - Result of matchSession
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {number} [options.minCoverage] - Share of the event a finished recording must cover
+ * @param {number} [options.toleranceMinutes] - Grace period after the end for processing
+ * @returns {string} One of RECORDING_STATUSES
+ */
+function classifyRecording(
+  event,
+  session,
+  {
+    now = new Date(),
+    minCoverage = config.panopto.minCoverage,
+    toleranceMinutes = config.panopto.matchToleranceMinutes,
+  } = {}
+) {
+  const { start, end } = eventWindow(event);
+  const graceEnd = new Date(end.getTime() + toleranceMinutes * 60 * 1000);
+
+  if (!session) {
+    return RECORDING_STATUSES.MISSING;
+  }
+  if (session.durationSeconds === null) {
+    if (now < start) {
+      return RECORDING_STATUSES.SCHEDULED;
+    }
+    // Panopto only reports a duration once something was captured
+    return now < graceEnd
+      ? RECORDING_STATUSES.RECORDING
+      : RECORDING_STATUSES.MISSING;
+  }
+  if (now < end) {
+    return RECORDING_STATUSES.RECORDING;
+  }
+
+  const eventSeconds = (end - start) / 1000;
+  return session.durationSeconds < eventSeconds * minCoverage
+    ? RECORDING_STATUSES.TOO_SHORT
+    : RECORDING_STATUSES.RECORDING;
+}
+
+/**
+ * Check every active event with a recording resource on a date against
+ * Panopto and store the outcome on the event (recording_status,
+ * recording_session_id, recording_checked_at). An event Panopto cannot be
+ * asked about (no folder and no room) is stored as unverifiable and the rest
+ * of the day carries on.
+ * @param {Object} storage - Storage backend from createStorage()
+ * @param {Object} client - A PanoptoClient (see panopto/client.js)
+ * @param {string} date - YYYY-MM-DD
+ * @param {Object} [options]
+ * @param {string} [options.folderId] - Defaults to config.panopto.folderId
+ * @param {Date} [options.now]
+ * @returns {Promise<Array<{ event_id: string, status: string, session_id: string|null }>>}
+ */
+async function verifyRecordings(
+  storage,
+  client,
+  date,
+  { folderId = config.panopto.folderId, now = new Date() } = {}
+) {
+  const events = (
+    await storage.select(EVENTS_TABLE, { date, status: ACTIVE })
+  ).filter((event) => hasRecordingResource(event));
+  console.log(
+    `Verifying ${events.length} recorded events on ${date} against ${client.name}...`
+  );
+
+  // One lookup for the whole day: the folder, or each recorder when there is
+  // no folder to read
+  const toleranceMs = config.panopto.matchToleranceMinutes * 60 * 1000;
+  const windows = events.map((event) => eventWindow(event));
+  const dayWindow = {
+    from: new Date(
+      Math.min(...windows.map(({ start }) => start)) - toleranceMs
+    ),
+    to: new Date(Math.max(...windows.map(({ end }) => end)) + toleranceMs),
+  };
+  const lookups = new Map();
+  const sessionsFor = (event) => {
+    const query = recorderNameForEvent(event);
+    const lookupKey = folderId || query;
+    if (!lookupKey) {
+      return null;
+    }
+    if (!lookups.has(lookupKey)) {
+      lookups.set(
+        lookupKey,
+        client.findSessions({ folderId, query, ...dayWindow })
+      );
+    }
+    return lookups.get(lookupKey);
+  };
+
+  const results = [];
+  for (const event of events) {
+    const lookup = await sessionsFor(event);
+    const session = lookup ? matchSession(lookup.sessions, event) : null;
+    const status =
+      !lookup || (!session && !lookup.complete)
+        ? RECORDING_STATUSES.UNVERIFIABLE
+        : classifyRecording(event, session, { now });
+
+    await storage.update(
+      EVENTS_TABLE,
+      { id: event.id },
+      {
+        recording_status: status,
+        recording_session_id: session ? session.id : null,
+        recording_checked_at: now.toISOString(),
+      }
+    );
+
+    if (
+      status === RECORDING_STATUSES.MISSING ||
+      status === RECORDING_STATUSES.TOO_SHORT ||
+      status === RECORDING_STATUSES.UNVERIFIABLE
+    ) {
+      console.warn(
+        `  ${status.toUpperCase()}: ${event.id} ${event.start_time}-${event.end_time} ${event.room_name} ${event.event_name}`
+      );
+    }
+    results.push({
+      event_id: event.id,
+      status,
+      session_id: session ? session.id : null,
+    });
+  }
+
+  const counts = results.reduce((totals, { status }) => {
+    totals[status] = (totals[status] || 0) + 1;
+    return totals;
+  }, {});
+  console.log(`Recording status for ${date}: ${JSON.stringify(counts)}`);
+  return results;
+}
+
+async function main() {
+  try {
+    config.validate({ requireNorthwestern: false });
+    const storage = createStorage();
+    const client = createPanoptoClient();
+    console.log(`Using storage backend: ${storage.name}`);
+
+    const dates = parseScrapeDates(process.argv.slice(2));
+    for (const date of dates) {
+      await verifyRecordings(storage, client, date);
+    }
+  } catch (error) {
+    console.error("Error verifying recordings:", error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  RECORDING_STATUSES,
+  recorderNameForEvent,
+  eventWindow,
+  matchSession,
+  classifyRecording,
+  verifyRecordings,
+};
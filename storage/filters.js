@@ -0,0 +1,63 @@
+/**
+ * Shared filter semantics for the storage backends.
+ *
+ * A filter object maps column names to values. A scalar value means
+ * "column equals value" (null means "column is null"); an array means
+ * "column is one of these values". An empty array matches nothing.
+ * Columns are ANDed together.
+ */
+
+/**
+ * Test a single row against a filter object.
+ * @param {Object} row
+ * @param {Object} filters
+ * @returns {boolean}
+ */
+const matchesFilters = (row, filters = {}) => {
+  return Object.entries(filters).every(([column, expected]) => {
+    const actual = row[column] === undefined ? null : row[column];
+    if (Array.isArray(expected)) {
+      return expected.some(value => value === actual);
+    }
+    return expected === actual;
+  });
+};
+
+/**
+ * Split a filter object whose largest array would make an unreasonably long
+ * request into several smaller filter objects.
+ * @param {Object} filters
+ * @param {number} size - Maximum array length per chunk
+ * @returns {Array<Object>}
+ */
+const chunkFilters = (filters = {}, size = 200) => {
+  const arrayColumns = Object.entries(filters)
+    .filter(([, value]) => Array.isArray(value))
+    .sort(([, a], [, b]) => b.length - a.length);
+
+  if (arrayColumns.length === 0 || arrayColumns[0][1].length <= size) {
+    return [filters];
+  }
+
+  const [column, values] = arrayColumns[0];
+  const chunks = [];
+  for (let index = 0; index < values.length; index += size) {
+    chunks.push({ ...filters, [column]: values.slice(index, index + size) });
+  }
+  return chunks;
+};
+
+/**
+ * Whether a filter can never match (it contains an empty "one of" list).
+ * @param {Object} filters
+ * @returns {boolean}
+ */
+const isEmptyMatch = (filters = {}) => {
+  return Object.values(filters).some(value => Array.isArray(value) && value.length === 0);
+};
+
+module.exports = {
+  matchesFilters,
+  chunkFilters,
+  isEmptyMatch,
+};
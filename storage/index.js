@@ -0,0 +1,57 @@
+/**
+ * Persistence layer shared by the 25Live and academic calendar scrapers.
+ *
+ * Every backend exposes the same async, table-oriented interface:
+ *
+ *   select(table, filters?)            -> rows matching the filters
+ *   upsert(table, rows, { key? })      -> insert or update rows by key (default "id");
+ *                                         columns missing from a row are left untouched,
+ *                                         even when the rows of one call differ in columns
+ *   insert(table, rows)                -> append rows
+ *   update(table, filters, patch)      -> apply a partial update to matching rows
+ *   remove(table, filters, { key? })   -> delete matching rows, returns the count
+ *   clear(table, { key? })             -> delete every row in the table
+ *
+ * `key` names the table's primary key column; tables keyed on something
+ * other than "id" must pass it.
+ *
+ * See storage/filters.js for the filter format.
+ */
+const config = require('../config');
+const { createSupabaseStorage } = require('./supabaseStorage');
+const { createJsonStorage } = require('./jsonStorage');
+const { createSqliteStorage } = require('./sqliteStorage');
+
+const DRIVERS = {
+  supabase: options => createSupabaseStorage(options.supabase),
+  json: options => createJsonStorage({ dir: options.dir }),
+  sqlite: options => createSqliteStorage({ file: options.sqliteFile }),
+};
+
+/**
+ * Create the storage backend selected by config.storage.driver
+ * (STORAGE_DRIVER in the environment).
+ * @param {Object} [options] - Overrides for config.storage
+ * @returns {Object} A storage backend
+ */
+function createStorage(options = {}) {
+  const resolved = {
+    ...config.storage,
+    supabase: config.supabase,
+    ...options,
+  };
+
+  const factory = DRIVERS[resolved.driver];
+  if (!factory) {
+    throw new Error(
+      `Unknown storage driver "${resolved.driver}". Expected one of: ${Object.keys(DRIVERS).join(', ')}`
+    );
+  }
+
+  return factory(resolved);
+}
+
+module.exports = {
+  createStorage,
+  STORAGE_DRIVERS: Object.keys(DRIVERS),
+};
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { matchesFilters, isEmptyMatch } = require('./filters');
+
+/**
+ * Storage backend that keeps each table as a JSON array in `<dir>/<table>.json`.
+ * Meant for running the pipeline on a laptop without a Supabase project; every
+ * call reads and rewrites the whole file, so it is not built for large tables.
+ * @param {Object} options
+ * @param {string} options.dir - Directory holding the table files
+ * @returns {Object} A storage backend (see storage/index.js)
+ */
+function createJsonStorage({ dir }) {
+  const tablePath = table => path.resolve(dir, `${table}.json`);
+
+  const readTable = table => {
+    const file = tablePath(table);
+    if (!fs.existsSync(file)) {
+      return [];
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  };
+
+  const writeTable = (table, rows) => {
+    fs.mkdirSync(path.resolve(dir), { recursive: true });
+    // Write then rename so an interrupted run never leaves a truncated file
+    const file = tablePath(table);
+    const tempFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(rows, null, 2));
+    fs.renameSync(tempFile, file);
+  };
+
+  async function select(table, filters = {}) {
+    if (isEmptyMatch(filters)) {
+      return [];
+    }
+    return readTable(table).filter(row => matchesFilters(row, filters));
+  }
+
+  async function upsert(table, rows, { key = 'id' } = {}) {
+    const existing = readTable(table);
+    const indexByKey = new Map(existing.map((row, index) => [String(row[key]), index]));
+
+    const written = rows.map(row => {
+      const rowKey = String(row[key]);
+      if (indexByKey.has(rowKey)) {
+        // Like a Postgres upsert: columns missing from the new row are left alone
+        const index = indexByKey.get(rowKey);
+        existing[index] = { ...existing[index], ...row };
+        return existing[index];
+      }
+      indexByKey.set(rowKey, existing.length);
+      existing.push({ ...row });
+      return row;
+    });
+
+    writeTable(table, existing);
+    return written;
+  }
+
+  async function insert(table, rows) {
+    if (rows.length === 0) {
+      return [];
+    }
+    const inserted = rows.map(row => ({ id: crypto.randomUUID(), ...row }));
+    writeTable(table, [...readTable(table), ...inserted]);
+    return inserted;
+  }
+
+  async function update(table, filters, patch) {
+    if (isEmptyMatch(filters)) {
+      return [];
+    }
+    const updated = [];
+    const rows = readTable(table).map(row => {
+      if (!matchesFilters(row, filters)) {
+        return row;
+      }
+      const next = { ...row, ...patch };
+      updated.push(next);
+      return next;
+    });
+    writeTable(table, rows);
+    return updated;
+  }
+
+  async function remove(table, filters) {
+    if (!filters || Object.keys(filters).length === 0) {
+      throw new Error(`Refusing to remove from ${table} without filters; use clear()`);
+    }
+    if (isEmptyMatch(filters)) {
+      return 0;
+    }
+    const rows = readTable(table);
+    const kept = rows.filter(row => !matchesFilters(row, filters));
+    writeTable(table, kept);
+    return rows.length - kept.length;
+  }
+
+  async function clear(table) {
+    writeTable(table, []);
+  }
+
+  return {
+    name: `JSON files (${path.resolve(dir)})`,
+    select,
+    upsert,
+    insert,
+    update,
+    remove,
+    clear,
+  };
+}
+
+module.exports = {
+  createJsonStorage,
+};
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { chunkFilters, isEmptyMatch } = require('./filters');
+
+/**
+ * better-sqlite3 is an optional dependency (it needs a native build), so it
+ * is only required when the SQLite backend is actually selected.
+ */
+const loadDriver = () => {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    throw new Error(
+      'The SQLite storage backend needs the optional "better-sqlite3" package. ' +
+      'Install it with `npm install better-sqlite3` or pick another STORAGE_DRIVER.'
+    );
+  }
+};
+
+const quoteIdentifier = name => `"${String(name).replace(/"/g, '""')}"`;
+
+// json_extract returns booleans as 1/0, so bind them the same way
+const toSqlValue = value => (typeof value === 'boolean' ? Number(value) : value);
+
+const buildWhere = filters => {
+  const clauses = [];
+  const params = [];
+
+  Object.entries(filters).forEach(([column, value]) => {
+    const field = 'json_extract(data, ?)';
+    params.push(`$.${quoteIdentifier(column)}`);
+    if (Array.isArray(value)) {
+      clauses.push(`${field} IN (${value.map(() => '?').join(', ')})`);
+      params.push(...value.map(toSqlValue));
+    } else if (value === null) {
+      clauses.push(`${field} IS NULL`);
+    } else {
+      clauses.push(`${field} = ?`);
+      params.push(toSqlValue(value));
+    }
+  });
+
+  return {
+    sql: clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '',
+    params,
+  };
+};
+
+/**
+ * Storage backend backed by a single SQLite file. Every logical table is a
+ * two-column table of (key, JSON document) so no schema has to be kept in
+ * sync with Supabase; filters are evaluated with json_extract.
+ * @param {Object} options
+ * @param {string} options.file - Path to the SQLite database file
+ * @returns {Object} A storage backend (see storage/index.js)
+ */
+function createSqliteStorage({ file }) {
+  let db;
+  const knownTables = new Set();
+
+  const getDb = () => {
+    if (!db) {
+      const Database = loadDriver();
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+      db = new Database(path.resolve(file));
+      db.pragma('journal_mode = WAL');
+    }
+    return db;
+  };
+
+  const ensureTable = table => {
+    if (!knownTables.has(table)) {
+      getDb()
+        .prepare(`CREATE TABLE IF NOT EXISTS ${quoteIdentifier(table)} (key TEXT PRIMARY KEY, data TEXT NOT NULL)`)
+        .run();
+      knownTables.add(table);
+    }
+    return quoteIdentifier(table);
+  };
+
+  const selectRows = (table, filters) => {
+    const tableName = ensureTable(table);
+    return chunkFilters(filters, 500).flatMap(chunk => {
+      const { sql, params } = buildWhere(chunk);
+      return getDb()
+        .prepare(`SELECT key, data FROM ${tableName}${sql}`)
+        .all(...params)
+        .map(record => ({ key: record.key, row: JSON.parse(record.data) }));
+    });
+  };
+
+  async function select(table, filters = {}) {
+    if (isEmptyMatch(filters)) {
+      return [];
+    }
+    return selectRows(table, filters).map(({ row }) => row);
+  }
+
+  async function upsert(table, rows, { key = 'id' } = {}) {
+    const tableName = ensureTable(table);
+    const read = getDb().prepare(`SELECT data FROM ${tableName} WHERE key = ?`);
+    const write = getDb().prepare(
+      `INSERT INTO ${tableName} (key, data) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET data = excluded.data`
+    );
+
+    return getDb().transaction(() => rows.map(row => {
+      const rowKey = String(row[key]);
+      const existing = read.get(rowKey);
+      // Like a Postgres upsert: columns missing from the new row are left alone
+      const merged = existing ? { ...JSON.parse(existing.data), ...row } : row;
+      write.run(rowKey, JSON.stringify(merged));
+      return merged;
+    }))();
+  }
+
+  async function insert(table, rows) {
+    const tableName = ensureTable(table);
+    const write = getDb().prepare(`INSERT INTO ${tableName} (key, data) VALUES (?, ?)`);
+
+    return getDb().transaction(() => rows.map(row => {
+      const inserted = { id: crypto.randomUUID(), ...row };
+      write.run(String(inserted.id), JSON.stringify(inserted));
+      return inserted;
+    }))();
+  }
+
+  async function update(table, filters, patch) {
+    if (isEmptyMatch(filters)) {
+      return [];
+    }
+    const tableName = ensureTable(table);
+    const write = getDb().prepare(`UPDATE ${tableName} SET data = ? WHERE key = ?`);
+
+    return getDb().transaction(() => selectRows(table, filters).map(({ key, row }) => {
+      const next = { ...row, ...patch };
+      write.run(JSON.stringify(next), key);
+      return next;
+    }))();
+  }
+
+  async function remove(table, filters) {
+    if (!filters || Object.keys(filters).length === 0) {
+      throw new Error(`Refusing to remove from ${table} without filters; use clear()`);
+    }
+    if (isEmptyMatch(filters)) {
+      return 0;
+    }
+    const tableName = ensureTable(table);
+    return chunkFilters(filters, 500).reduce((removed, chunk) => {
+      const { sql, params } = buildWhere(chunk);
+      return removed + getDb().prepare(`DELETE FROM ${tableName}${sql}`).run(...params).changes;
+    }, 0);
+  }
+
+  async function clear(table) {
+    getDb().prepare(`DELETE FROM ${ensureTable(table)}`).run();
+  }
+
+  return {
+    name: `SQLite (${path.resolve(file)})`,
+    select,
+    upsert,
+    insert,
+    update,
+    remove,
+    clear,
+  };
+}
+
+module.exports = {
+  createSqliteStorage,
+};
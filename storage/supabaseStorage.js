@@ -0,0 +1,176 @@
+const { createClient } = require('@supabase/supabase-js');
+const { chunkFilters, isEmptyMatch } = require('./filters');
+
+const PAGE_SIZE = 1000;
+const UPSERT_BATCH_SIZE = 500;
+
+const applyFilters = (query, filters) => {
+  return Object.entries(filters).reduce((acc, [column, value]) => {
+    if (Array.isArray(value)) {
+      return acc.in(column, value);
+    }
+    if (value === null) {
+      return acc.is(column, null);
+    }
+    return acc.eq(column, value);
+  }, query);
+};
+
+const throwIfError = (error, action, table) => {
+  if (error) {
+    console.error(`Supabase ${action} on ${table} failed:`, {
+      message: error.message,
+      details: error.details,
+      hint: error.hint,
+      code: error.code,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Group rows by the set of columns they carry. PostgREST upserts a batch
+ * with the union of its rows' columns, so a row missing a column would have
+ * it overwritten (with null, or the column default); batches of rows with
+ * the same columns leave every other column untouched.
+ * @param {Array<Object>} rows
+ * @returns {Array<Array<Object>>}
+ */
+const groupByColumns = (rows) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    const columns = Object.keys(row).sort().join(',');
+    if (!groups.has(columns)) {
+      groups.set(columns, []);
+    }
+    groups.get(columns).push(row);
+  });
+  return [...groups.values()];
+};
+
+/**
+ * Storage backend that talks to a Supabase (PostgREST) project.
+ * The client is created on first use so that merely loading this module
+ * never requires credentials.
+ * @param {Object} options
+ * @param {string} options.url
+ * @param {string} options.serviceKey
+ * @param {Object} [options.client] - An existing Supabase client to use instead
+ * @returns {Object} A storage backend (see storage/index.js)
+ */
+function createSupabaseStorage({ url, serviceKey, client: existingClient }) {
+  let client = existingClient;
+  const getClient = () => {
+    if (!client) {
+      client = createClient(url, serviceKey);
+    }
+    return client;
+  };
+
+  async function select(table, filters = {}, { columns = '*' } = {}) {
+    if (isEmptyMatch(filters)) {
+      return [];
+    }
+
+    const rows = [];
+    for (const chunk of chunkFilters(filters)) {
+      // PostgREST caps responses, so page through until a short page comes back
+      for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await applyFilters(
+          getClient().from(table).select(columns),
+          chunk
+        ).range(from, from + PAGE_SIZE - 1);
+        throwIfError(error, 'select', table);
+        rows.push(...data);
+        if (data.length < PAGE_SIZE) {
+          break;
+        }
+      }
+    }
+    return rows;
+  }
+
+  async function upsert(table, rows, { key = 'id' } = {}) {
+    const written = [];
+    for (const group of groupByColumns(rows)) {
+      for (let index = 0; index < group.length; index += UPSERT_BATCH_SIZE) {
+        const { data, error } = await getClient()
+          .from(table)
+          .upsert(group.slice(index, index + UPSERT_BATCH_SIZE), {
+            onConflict: key,
+            ignoreDuplicates: false,
+            defaultToNull: false,
+          })
+          .select();
+        throwIfError(error, 'upsert', table);
+        written.push(...(data || []));
+      }
+    }
+    return written;
+  }
+
+  async function insert(table, rows) {
+    if (rows.length === 0) {
+      return [];
+    }
+    const { data, error } = await getClient().from(table).insert(rows).select();
+    throwIfError(error, 'insert', table);
+    return data || [];
+  }
+
+  async function update(table, filters, patch) {
+    if (isEmptyMatch(filters)) {
+      return [];
+    }
+    const updated = [];
+    for (const chunk of chunkFilters(filters)) {
+      const { data, error } = await applyFilters(
+        getClient().from(table).update(patch),
+        chunk
+      ).select();
+      throwIfError(error, 'update', table);
+      updated.push(...(data || []));
+    }
+    return updated;
+  }
+
+  async function remove(table, filters, { key = 'id' } = {}) {
+    if (!filters || Object.keys(filters).length === 0) {
+      throw new Error(`Refusing to remove from ${table} without filters; use clear()`);
+    }
+    if (isEmptyMatch(filters)) {
+      return 0;
+    }
+    let removed = 0;
+    for (const chunk of chunkFilters(filters)) {
+      const { data, error } = await applyFilters(
+        getClient().from(table).delete(),
+        chunk
+      ).select(key);
+      throwIfError(error, 'delete', table);
+      removed += data ? data.length : 0;
+    }
+    return removed;
+  }
+
+  async function clear(table, { key = 'id' } = {}) {
+    // PostgREST refuses unfiltered deletes, so match every row explicitly
+    const { error } = await getClient().from(table).delete().not(key, 'is', null);
+    throwIfError(error, 'clear', table);
+  }
+
+  return {
+    name: 'Supabase',
+    select,
+    upsert,
+    insert,
+    update,
+    remove,
+    clear,
+  };
+}
+
+module.exports = {
+  groupByColumns,
+  createSupabaseStorage,
+};
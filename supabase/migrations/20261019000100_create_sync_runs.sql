@@ -0,0 +1,20 @@
+-- One row per events sync (per scraped date), written by 25live/syncEvents.js.
+-- Syncs stopped by the mass-deletion guard are recorded with status
+-- 'blocked' (nothing written) or 'quarantined' (deletes held back), and the
+-- ids that would have been deleted are kept in held_ids for review.
+create table if not exists public.sync_runs (
+  id uuid primary key default gen_random_uuid(),
+  date date not null,
+  status text not null check (status in ('applied', 'forced', 'blocked', 'quarantined')),
+  reason text,
+  existing_count integer not null default 0,
+  insert_count integer not null default 0,
+  update_count integer not null default 0,
+  delete_count integer not null default 0,
+  held_ids jsonb not null default '[]'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists sync_runs_date_idx on public.sync_runs (date);
+create index if not exists sync_runs_blocked_idx on public.sync_runs (created_at)
+  where status in ('blocked', 'quarantined');
@@ -0,0 +1,14 @@
+-- Append-only log of column-level changes to events, written by each sync.
+-- An event that leaves 25Live is recorded as field 'status' going from
+-- 'active' to 'cancelled' (see 20261019000300_soft_delete_events.sql).
+create table if not exists public.event_changes (
+  id uuid primary key default gen_random_uuid(),
+  event_id bigint not null,
+  field text not null,
+  old_value jsonb,
+  new_value jsonb,
+  scraped_at timestamptz not null
+);
+
+create index if not exists event_changes_event_id_idx
+  on public.event_changes (event_id, scraped_at);
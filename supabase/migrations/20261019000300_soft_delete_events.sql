@@ -0,0 +1,14 @@
+-- Events that disappear from 25Live are now cancelled instead of deleted, so
+-- rows linked to them in the app keep their foreign keys. Cancelled rows are
+-- restored by the next sync that sees them again, and purged by
+-- 25live/purgeCancelledEvents.js after CANCELLED_RETENTION_DAYS. In
+-- event_changes a cancellation is a change of field 'status' from 'active'
+-- to 'cancelled', and a restore the reverse.
+alter table public.events
+  add column if not exists status text not null default 'active'
+    check (status in ('active', 'cancelled')),
+  add column if not exists cancelled_at timestamptz;
+
+create index if not exists events_cancelled_at_idx
+  on public.events (cancelled_at)
+  where status = 'cancelled';
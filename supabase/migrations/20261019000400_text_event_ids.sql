@@ -0,0 +1,19 @@
+-- Event ids move from truncated bigints to "<itemId>-<itemId2>-<subjectItemId>"
+-- strings (see generateEventId in 25live/utils/index.js), which cannot collide.
+--
+-- This only changes the column types; the ids themselves are rewritten by
+-- 20261019001500_remap_event_ids.sql, which also fills event_id_map.
+-- Any app table with a foreign key to events.id needs the same type change.
+alter table public.events
+  alter column id type text using id::text;
+
+alter table public.event_changes
+  alter column event_id type text using event_id::text;
+
+create table if not exists public.event_id_map (
+  old_id text primary key,
+  new_id text not null,
+  migrated_at timestamptz not null default now()
+);
+
+create index if not exists event_id_map_new_id_idx on public.event_id_map (new_id);
@@ -0,0 +1,43 @@
+-- Technician tasks generated by 25live/transformEventsToTasks.js. Ids are
+-- deterministic ("<event id>:<task type>:<date>T<time>"), so re-syncing a day
+-- upserts the same rows. This replaces the database trigger that used to
+-- generate recording checks, which is dropped below so tasks are not created
+-- twice. Its name was never recorded in this repo, so every trigger on
+-- events whose function writes to tasks goes.
+do $$
+declare
+  old_trigger record;
+begin
+  for old_trigger in
+    select triggers.tgname
+    from pg_trigger triggers
+    join pg_proc functions on functions.oid = triggers.tgfoid
+    where triggers.tgrelid = 'public.events'::regclass
+      and not triggers.tgisinternal
+      and functions.prosrc ~* '\mtasks\M'
+  loop
+    execute format('drop trigger if exists %I on public.events', old_trigger.tgname);
+    raise notice 'Dropped task trigger % on public.events', old_trigger.tgname;
+  end loop;
+end $$;
+
+create table if not exists public.tasks (
+  id text primary key,
+  event_id text not null references public.events (id) on delete cascade,
+  task_type text not null,
+  resource_item_name text,
+  date date not null,
+  time time not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- A tasks table left by the trigger is kept, but needs the columns the sync
+-- writes
+alter table public.tasks
+  add column if not exists resource_item_name text,
+  add column if not exists created_at timestamptz not null default now(),
+  add column if not exists updated_at timestamptz not null default now();
+
+create index if not exists tasks_date_idx on public.tasks (date);
+create index if not exists tasks_event_id_idx on public.tasks (event_id);
@@ -0,0 +1,9 @@
+-- Tasks are reconciled instead of replaced when an event moves: pending tasks
+-- that no longer fall inside their event are cancelled, and tasks a
+-- technician marked done are never touched by the sync.
+alter table public.tasks
+  add column if not exists status text not null default 'pending'
+    check (status in ('pending', 'done', 'cancelled')),
+  add column if not exists cancelled_at timestamptz;
+
+create index if not exists tasks_status_idx on public.tasks (status);
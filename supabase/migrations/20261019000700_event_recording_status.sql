@@ -0,0 +1,7 @@
+-- Outcome of checking each recorded event against Panopto
+-- (panopto/verifyRecordings.js).
+alter table public.events
+  add column if not exists recording_status text
+    check (recording_status in ('scheduled', 'recording', 'missing', 'too_short', 'unverifiable')),
+  add column if not exists recording_session_id text,
+  add column if not exists recording_checked_at timestamptz;
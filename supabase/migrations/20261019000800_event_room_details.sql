@@ -0,0 +1,9 @@
+-- Room details resolved through the room registry
+-- (25live/definitions/rooms.json). room_name keeps the canonical room code;
+-- room_recording is the registry's recording capability, null if unsurveyed.
+alter table public.events
+  add column if not exists room_display_name text,
+  add column if not exists building text,
+  add column if not exists floor text,
+  add column if not exists room_capacity integer,
+  add column if not exists room_recording boolean;
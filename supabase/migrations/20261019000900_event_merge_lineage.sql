@@ -0,0 +1,14 @@
+-- Lineage for events merged across room partitions or KEC sessions. The
+-- merged event lists its sources in merged_from and keeps their snapshot in
+-- merged_sources (so the merge can be undone); the other sources stay in the
+-- table with status 'merged' and merged_into pointing at it, until
+-- 20261019001600_drop_absorbed_event_rows.sql drops those rows.
+alter table public.events
+  drop constraint if exists events_status_check;
+
+alter table public.events
+  add constraint events_status_check
+    check (status in ('active', 'cancelled', 'merged')),
+  add column if not exists merged_from text[],
+  add column if not exists merged_into text,
+  add column if not exists merged_sources jsonb;
@@ -0,0 +1,9 @@
+-- Details from the 25Live evdetail payload: head counts (to warn about rooms
+-- over capacity), the 25Live event state, and when the reservation's setup
+-- starts and teardown ends around the event itself.
+alter table public.events
+  add column if not exists expected_headcount integer,
+  add column if not exists registered_headcount integer,
+  add column if not exists event_state text,
+  add column if not exists setup_start_time time,
+  add column if not exists teardown_end_time time;
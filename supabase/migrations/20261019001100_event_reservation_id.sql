@@ -0,0 +1,4 @@
+-- The 25Live reservation an event's resources and setup/teardown times were
+-- read from, for events with more than one reservation on the same day.
+alter table public.events
+  add column if not exists reservation_id text;
@@ -0,0 +1,25 @@
+-- Course series: every event sharing a 25Live item_id across dates, written
+-- by 25live/syncSeries.js after each events sync. missing_dates are dates on
+-- the meeting pattern without an active session (dropped sessions or
+-- holidays); extra_dates are sessions off the pattern (added sessions).
+create table if not exists public.event_series (
+  id text primary key,
+  event_name text,
+  organization text,
+  meeting_pattern text,
+  first_date date,
+  last_date date,
+  session_count integer not null default 0,
+  cancelled_count integer not null default 0,
+  missing_dates jsonb not null default '[]'::jsonb,
+  extra_dates jsonb not null default '[]'::jsonb,
+  updated_at timestamptz not null default now()
+);
+
+-- Each event's place in its series; null for cancelled sessions
+alter table public.events
+  add column if not exists series_id text references public.event_series (id) on delete set null,
+  add column if not exists session_number integer;
+
+create index if not exists events_item_id_idx on public.events (item_id);
+create index if not exists events_series_id_idx on public.events (series_id);
@@ -0,0 +1,16 @@
+-- Course code parsed from the event name (or lecture title) by
+-- 25live/utils/courseCodes.js, e.g. "MGMT-431-0-61 EW" -> MGMT / 431 / 61 / EW.
+-- course_program is only set when the name marks the program (or for KEC
+-- events of the Executive MBA organization). Events without a course code
+-- are course_kind 'non_course'.
+alter table public.events
+  add column if not exists course_kind text
+    check (course_kind in ('course', 'non_course')),
+  add column if not exists course_subject text,
+  add column if not exists course_catalog_number text,
+  add column if not exists course_section text,
+  add column if not exists course_program text
+    check (course_program in ('FT', 'EW', 'EMBA'));
+
+create index if not exists events_course_subject_idx on public.events (course_subject);
+create index if not exists events_course_program_idx on public.events (course_program);
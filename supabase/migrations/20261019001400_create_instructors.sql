@@ -0,0 +1,22 @@
+-- Instructor directory built from events' instructor_names by
+-- 25live/syncInstructors.js. Ids are the normalized name as a slug
+-- ("Doe, Jane Q." -> 'jane-doe'); aliases lists every spelling seen, and
+-- the optional file named by INSTRUCTOR_ALIASES_FILE merges spellings
+-- normalization cannot (nicknames, changed surnames).
+create table if not exists public.instructors (
+  id text primary key,
+  display_name text not null,
+  aliases jsonb not null default '[]'::jsonb,
+  updated_at timestamptz not null default now()
+);
+
+-- Which instructors teach each event, in the order 25Live lists them
+create table if not exists public.event_instructors (
+  id text primary key,
+  event_id text not null references public.events (id) on delete cascade,
+  instructor_id text not null references public.instructors (id) on delete cascade,
+  position integer not null default 1
+);
+
+create index if not exists event_instructors_event_id_idx on public.event_instructors (event_id);
+create index if not exists event_instructors_instructor_id_idx on public.event_instructors (instructor_id);
@@ -0,0 +1,108 @@
+-- Rewrite events still carrying an old truncated numeric id to the
+-- "<itemId>-<itemId2>-<subjectItemId>" id from generateEventId, together
+-- with everything that refers to them, in this migration's transaction: a
+-- failure leaves every id as it was. Rows that already have a new-style id
+-- are untouched, so the migration is a no-op on a database that never had
+-- old ids.
+--
+-- Check what it will do first with
+--   node 25live/migrations/remapEventIds.js --dry-run
+
+-- Follow id changes from the tables that reference events
+alter table public.tasks
+  drop constraint if exists tasks_event_id_fkey,
+  add constraint tasks_event_id_fkey foreign key (event_id)
+    references public.events (id) on delete cascade on update cascade;
+
+alter table public.event_instructors
+  drop constraint if exists event_instructors_event_id_fkey,
+  add constraint event_instructors_event_id_fkey foreign key (event_id)
+    references public.events (id) on delete cascade on update cascade;
+
+-- keep: the old row becomes the new id. Several old rows mapping to one new
+-- id (the same reservation stored twice) keep the most recently updated; an
+-- old row whose new id is already stored (a scrape ran first) is dropped.
+create temporary table event_id_remap on commit drop as
+with candidates as (
+  select
+    id as old_id,
+    trim(item_id::text)::numeric::text || '-' ||
+      trim(item_id2::text)::numeric::text || '-' ||
+      trim(raw->>'subject_itemId')::numeric::text as new_id,
+    updated_at
+  from public.events
+  where id !~ '^\d+-\d+-\d+$'
+    and trim(item_id::text) ~ '^\d+$'
+    and trim(item_id2::text) ~ '^\d+$'
+    and trim(coalesce(raw->>'subject_itemId', '')) ~ '^\d+$'
+),
+ranked as (
+  select
+    candidates.*,
+    row_number() over (partition by new_id order by updated_at desc nulls last) as rank
+  from candidates
+)
+select
+  old_id,
+  new_id,
+  rank = 1 and not exists (
+    select 1 from public.events existing where existing.id = ranked.new_id
+  ) as keep
+from ranked;
+
+do $$
+declare
+  unmapped integer;
+begin
+  select count(*) into unmapped
+  from public.events
+  where id !~ '^\d+-\d+-\d+$'
+    and id not in (select old_id from event_id_remap);
+  if unmapped > 0 then
+    raise notice '% events have an old id but no item_id/item_id2/raw.subject_itemId; left as they are', unmapped;
+  end if;
+end $$;
+
+insert into public.event_id_map (old_id, new_id, migrated_at)
+select old_id, new_id, now() from event_id_remap
+on conflict (old_id) do update
+  set new_id = excluded.new_id, migrated_at = excluded.migrated_at;
+
+update public.event_changes changes
+set event_id = remap.new_id
+from event_id_remap remap
+where changes.event_id = remap.old_id;
+
+-- Dropped rows: their tasks (done ones included) move to the surviving
+-- event; their instructor links are rebuilt by the next sync
+update public.tasks tasks
+set event_id = remap.new_id
+from event_id_remap remap
+where not remap.keep and tasks.event_id = remap.old_id;
+
+delete from public.event_instructors links
+using event_id_remap remap
+where not remap.keep and links.event_id = remap.old_id;
+
+update public.events events
+set merged_into = remap.new_id
+from event_id_remap remap
+where events.merged_into = remap.old_id;
+
+update public.events events
+set merged_from = (
+  select array_agg(coalesce(remap.new_id, source.id) order by source.position)
+  from unnest(events.merged_from) with ordinality as source (id, position)
+  left join event_id_remap remap on remap.old_id = source.id
+)
+where events.merged_from && (select array_agg(old_id) from event_id_remap);
+
+delete from public.events events
+using event_id_remap remap
+where not remap.keep and events.id = remap.old_id;
+
+-- Kept rows: tasks and instructor links follow through on update cascade
+update public.events events
+set id = remap.new_id
+from event_id_remap remap
+where remap.keep and events.id = remap.old_id;
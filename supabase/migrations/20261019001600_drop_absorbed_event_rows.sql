@@ -0,0 +1,21 @@
+-- Merged events no longer keep a row per absorbed source: the lineage lives
+-- only in merged_from / merged_sources of the merged event (see
+-- 20261019000900_event_merge_lineage.sql), so consumers never see a source
+-- twice. Rows stored with status 'merged' are cancelled like any event that
+-- left the scrape, and purged after the retention period.
+insert into public.event_changes (event_id, field, old_value, new_value, scraped_at)
+select id, 'status', to_jsonb('merged'::text), to_jsonb('cancelled'::text), now()
+from public.events
+where status = 'merged';
+
+update public.events
+set status = 'cancelled', cancelled_at = now()
+where status = 'merged';
+
+alter table public.events
+  drop constraint if exists events_status_check;
+
+alter table public.events
+  add constraint events_status_check
+    check (status in ('active', 'cancelled')),
+  drop column if exists merged_into;
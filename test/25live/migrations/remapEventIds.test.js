@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createJsonStorage } = require("../../../storage/jsonStorage");
+const {
+  planEventIdRemap,
+  remapEventIds,
+} = require("../../../25live/migrations/remapEventIds");
+
+const oldRow = (id, itemId, updatedAt, extra = {}) => ({
+  id,
+  item_id: itemId,
+  item_id2: 20,
+  raw: { subject_itemId: 30 },
+  updated_at: updatedAt,
+  ...extra,
+});
+
+test("planEventIdRemap keeps the latest of several old rows and drops rows whose new id exists", () => {
+  const { remaps, unmapped } = planEventIdRemap([
+    oldRow("123", 10, "2025-01-01"),
+    oldRow("124", 10, "2025-02-01"),
+    oldRow("125", 11, "2025-01-01"),
+    { ...oldRow("11-20-30", 11, "2025-03-01") },
+    { id: "126", item_id: null, item_id2: 1, raw: null },
+  ]);
+
+  assert.deepEqual(
+    remaps.map(({ oldId, newId, keep }) => [oldId, newId, keep]),
+    [
+      ["123", "10-20-30", false],
+      ["124", "10-20-30", true],
+      ["125", "11-20-30", false],
+    ]
+  );
+  assert.deepEqual(
+    unmapped.map((row) => row.id),
+    ["126"]
+  );
+});
+
+test("remapEventIds moves every referencing row on a local backend", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "glance-remap-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const storage = createJsonStorage({ dir });
+  await storage.upsert("events", [
+    oldRow("123", 10, "2025-01-01"),
+    oldRow("124", 10, "2025-02-01"),
+    oldRow("200", 12, "2025-01-01", { merged_from: ["124", "x"] }),
+  ]);
+  await storage.upsert("tasks", [
+    { id: "t1", event_id: "123", status: "done" },
+  ]);
+  await storage.upsert("event_changes", [
+    { id: "c1", event_id: "124", field: "x" },
+  ]);
+  await storage.upsert("event_instructors", [
+    { id: "124:j", event_id: "124", instructor_id: "j" },
+  ]);
+
+  const dryRun = await remapEventIds(storage, { dryRun: true });
+  assert.equal(dryRun.remapped, 0);
+  assert.equal((await storage.select("events")).length, 3);
+
+  const result = await remapEventIds(storage);
+  assert.deepEqual(result, { remapped: 2, dropped: 1, unmapped: 0 });
+
+  const events = await storage.select("events");
+  assert.deepEqual(events.map((row) => row.id).sort(), [
+    "10-20-30",
+    "12-20-30",
+  ]);
+  const merged = events.find((row) => row.id === "12-20-30");
+  assert.deepEqual(merged.merged_from, ["10-20-30", "x"]);
+  assert.equal((await storage.select("tasks"))[0].event_id, "10-20-30");
+  assert.equal((await storage.select("event_changes"))[0].event_id, "10-20-30");
+  assert.deepEqual(await storage.select("event_instructors"), []);
+  assert.equal((await storage.select("event_id_map")).length, 3);
+
+  // Nothing left to do on a second run
+  assert.equal((await remapEventIds(storage)).remapped, 0);
+});
+
+test("remapEventIds refuses to apply on Supabase", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "glance-remap-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const storage = createJsonStorage({ dir });
+  await storage.upsert("events", [oldRow("123", 10, "2025-01-01")]);
+  await assert.rejects(
+    remapEventIds(storage, { driver: "supabase" }),
+    /remap_event_ids\.sql/
+  );
+});
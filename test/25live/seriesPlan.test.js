@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  patternWeekdays,
+  buildSeries,
+  planSeries,
+  describeSession,
+} = require("../../25live/seriesPlan");
+
+const event = (id, date, overrides = {}) => ({
+  id,
+  item_id: 812345,
+  date,
+  start_time: "09:00:00",
+  end_time: "10:30:00",
+  event_name: "FINC-430-0",
+  organization: "Kellogg School of Management",
+  status: "active",
+  ...overrides,
+});
+
+test("the pattern is the weekdays met at least twice, or all of them for short series", () => {
+  // 2025-09-22 is a Monday
+  assert.deepEqual(
+    patternWeekdays(["2025-09-22", "2025-09-24", "2025-09-29", "2025-10-03"]),
+    [1]
+  );
+  assert.deepEqual(patternWeekdays(["2025-09-24", "2025-09-22"]), [1, 3]);
+});
+
+test("sessions are numbered by slot, cancelled ones are counted apart and gaps are listed", () => {
+  const { series, sessions } = buildSeries("812345", [
+    event("mon-1", "2025-09-22"),
+    event("mon-1-partition", "2025-09-22", { room_name: "GH 1430" }),
+    event("wed-1", "2025-09-24"),
+    event("mon-2", "2025-09-29", { status: "cancelled" }),
+    event("wed-2", "2025-10-01"),
+    event("fri", "2025-10-03", { start_time: "13:00:00" }),
+    event("mon-3", "2025-10-06"),
+    event("wed-3", "2025-10-08", { event_name: "FINC-430-0 (renamed)" }),
+  ]);
+
+  assert.deepEqual(
+    sessions.map(({ id, session_number }) => [id, session_number]),
+    [
+      ["mon-1", 1],
+      ["mon-1-partition", 1],
+      ["wed-1", 2],
+      ["mon-2", null],
+      ["wed-2", 3],
+      ["fri", 4],
+      ["mon-3", 5],
+      ["wed-3", 6],
+    ]
+  );
+  const { updated_at, ...rest } = series;
+  assert.deepEqual(rest, {
+    id: "812345",
+    event_name: "FINC-430-0 (renamed)",
+    organization: "Kellogg School of Management",
+    meeting_pattern: "Mon/Wed 09:00-10:30",
+    first_date: "2025-09-22",
+    last_date: "2025-10-08",
+    session_count: 6,
+    cancelled_count: 1,
+    missing_dates: ["2025-09-29"],
+    extra_dates: ["2025-10-03"],
+  });
+});
+
+test("a series with every session cancelled has no pattern or sessions", () => {
+  const { series } = buildSeries("1", [
+    event("a", "2025-09-22", { status: "cancelled" }),
+  ]);
+  assert.equal(series.meeting_pattern, null);
+  assert.equal(series.session_count, 0);
+  assert.equal(series.cancelled_count, 1);
+  assert.equal(series.event_name, "FINC-430-0");
+});
+
+test("planSeries groups by item_id and skips events without one", () => {
+  const plans = planSeries([
+    event("a", "2025-09-22"),
+    event("b", "2025-09-22", { item_id: 99 }),
+    event("c", "2025-09-24"),
+    event("d", "2025-09-22", { item_id: null }),
+  ]);
+  assert.deepEqual(
+    plans.map(({ series }) => [series.id, series.session_count]),
+    [
+      ["812345", 2],
+      ["99", 1],
+    ]
+  );
+  assert.equal(
+    describeSession({ session_number: 2 }, plans[0].series),
+    "Session 2 of 2"
+  );
+  assert.equal(
+    describeSession({ session_number: null }, plans[0].series),
+    null
+  );
+});
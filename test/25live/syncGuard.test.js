@@ -0,0 +1,42 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { evaluateDeleteGuard } = require("../../25live/syncGuard");
+
+const options = {
+  maxDeletes: 10,
+  maxDeletePercent: 50,
+  minRowsForPercent: 5,
+  guardMode: "abort",
+};
+const plan = (cancelCount, existingCount) => ({
+  cancellations: Array.from({ length: cancelCount }, (_, i) => ({ id: i })),
+  existingCount,
+});
+
+test("the guard allows cancellations within both limits", () => {
+  const guard = evaluateDeleteGuard(plan(2, 20), options);
+  assert.equal(guard.blocked, false);
+  assert.equal(guard.reason, null);
+  assert.equal(guard.deletePercent, 10);
+});
+
+test("the guard blocks more cancellations than the absolute limit", () => {
+  const guard = evaluateDeleteGuard(plan(11, 1000), options);
+  assert.equal(guard.blocked, true);
+  assert.match(guard.reason, /11 cancellations exceeds the limit of 10/);
+  assert.equal(guard.mode, "abort");
+});
+
+test("the percentage limit applies only from minRowsForPercent stored events", () => {
+  assert.equal(evaluateDeleteGuard(plan(4, 4), options).blocked, false);
+
+  const guard = evaluateDeleteGuard(plan(3, 5), options);
+  assert.equal(guard.blocked, true);
+  assert.match(guard.reason, /60\.0% of 5 active events/);
+
+  assert.equal(evaluateDeleteGuard(plan(3, 6), options).blocked, false);
+});
+
+test("nothing stored means nothing to guard", () => {
+  assert.equal(evaluateDeleteGuard(plan(0, 0), options).deletePercent, 0);
+});
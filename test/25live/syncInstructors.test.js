@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { planInstructors } = require("../../25live/syncInstructors");
+
+test("planInstructors links every person of an entry and each instructor once", () => {
+  const { instructors, links, unparsed } = planInstructors(
+    [
+      {
+        id: "e1",
+        instructor_names: ["Jane Doe, John Roe", "Doe, Jane Q.", "TBA"],
+      },
+      { id: "e2", instructor_names: ["Doe, Jr., Jane"] },
+      { id: "e3", instructor_names: null },
+    ],
+    new Map()
+  );
+
+  assert.deepEqual(
+    links.map(({ id, position }) => [id, position]),
+    [
+      ["e1:jane-doe", 1],
+      ["e1:john-roe", 2],
+      ["e2:jane-doe-jr", 1],
+    ]
+  );
+  assert.deepEqual(instructors.get("jane-doe"), {
+    id: "jane-doe",
+    display_name: "Jane Q. Doe",
+    aliases: ["Jane Doe", "Doe, Jane Q."],
+  });
+  assert.deepEqual(unparsed, []);
+});
+
+test("planInstructors splits mixed lists and reports names it cannot read", () => {
+  const { links, unparsed } = planInstructors(
+    [
+      { id: "e1", instructor_names: ["Smith, John A., Doe, Jane"] },
+      { id: "e2", instructor_names: ["Doe, Jane, Roe", "TBA"] },
+    ],
+    new Map()
+  );
+
+  assert.deepEqual(
+    links.map(({ id }) => id),
+    ["e1:john-smith", "e1:jane-doe"]
+  );
+  assert.deepEqual(unparsed, [{ event_id: "e2", spelling: "Doe, Jane, Roe" }]);
+});
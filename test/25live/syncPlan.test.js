@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  isDeepEqual,
+  diffRow,
+  planEventSync,
+  eventsToUpsert,
+  summarizeSyncPlan,
+} = require("../../25live/syncPlan");
+
+const event = (id, overrides = {}) => ({
+  id,
+  date: "2025-09-22",
+  start_time: "09:00:00",
+  end_time: "10:30:00",
+  room_name: "GH 1420",
+  event_name: "FINC-430-0",
+  ...overrides,
+});
+
+test("isDeepEqual ignores key order and treats missing as null", () => {
+  assert.ok(
+    isDeepEqual({ a: 1, b: [1, { c: 2 }] }, { b: [1, { c: 2 }], a: 1 })
+  );
+  assert.ok(isDeepEqual({ a: null }, {}));
+  assert.ok(!isDeepEqual([1, 2], [2, 1]));
+  assert.ok(!isDeepEqual({ a: "1" }, { a: 1 }));
+});
+
+test("diffRow compares only the new row's columns and skips updated_at and raw", () => {
+  assert.deepEqual(
+    diffRow(
+      { ...event("a"), status: "active", updated_at: "t0", raw: { x: 1 } },
+      { ...event("a", { end_time: "11:00:00" }), updated_at: "t1", raw: {} }
+    ),
+    [{ field: "end_time", from: "10:30:00", to: "11:00:00" }]
+  );
+});
+
+test("planEventSync sorts events into inserts, updates, unchanged, cancellations and restores", () => {
+  const plan = planEventSync(
+    [
+      { ...event("kept"), status: "active" },
+      { ...event("moved"), status: "active" },
+      { ...event("gone"), status: "active" },
+      { ...event("back"), status: "cancelled" },
+      { ...event("long-gone"), status: "cancelled" },
+    ],
+    [
+      { ...event("kept"), status: "active" },
+      { ...event("moved", { room_name: "GH 1430" }), status: "active" },
+      { ...event("back"), status: "active" },
+      { ...event("new"), status: "active" },
+      event(null),
+    ]
+  );
+
+  assert.deepEqual(
+    plan.inserts.map((row) => row.id),
+    ["new"]
+  );
+  assert.deepEqual(
+    plan.updates.map(({ id, changes }) => [id, changes.map((c) => c.field)]),
+    [
+      ["moved", ["room_name"]],
+      ["back", ["status"]],
+    ]
+  );
+  assert.deepEqual(
+    plan.unchanged.map((row) => row.id),
+    ["kept"]
+  );
+  assert.deepEqual(
+    plan.cancellations.map((row) => row.id),
+    ["gone"]
+  );
+  assert.deepEqual(
+    plan.restores.map((row) => row.id),
+    ["back"]
+  );
+  assert.equal(plan.skipped.length, 1);
+  // Already-cancelled rows do not count towards the guard's baseline
+  assert.equal(plan.existingCount, 3);
+
+  assert.deepEqual(
+    eventsToUpsert(plan).map((row) => row.id),
+    ["new", "moved", "back", "kept"]
+  );
+  assert.deepEqual(summarizeSyncPlan(plan, "2025-09-22").counts, {
+    insert: 1,
+    update: 2,
+    cancel: 1,
+    restore: 1,
+    unchanged: 1,
+    skipped: 1,
+  });
+});
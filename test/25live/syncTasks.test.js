@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createSupabaseStorage } = require("../../storage/supabaseStorage");
+const { createFakeSupabaseClient } = require("../helpers/fakeSupabase");
+const { saveTasks } = require("../../25live/syncTasks");
+
+const task = (id, overrides = {}) => ({
+  id,
+  event_id: "e1",
+  task_type: "RECORDING CHECK",
+  resource_item_name: null,
+  date: "2025-09-22",
+  time: id,
+  created_at: "2025-09-22T06:00:00.000Z",
+  updated_at: "2025-09-22T06:00:00.000Z",
+  ...overrides,
+});
+
+test("saveTasks never sends created_at or status as null to Supabase", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const client = createFakeSupabaseClient({
+    tables: {
+      tasks: [
+        task("09:00:00", { status: "pending" }),
+        task("10:00:00", {
+          status: "cancelled",
+          cancelled_at: "2025-09-21T00:00:00.000Z",
+        }),
+      ],
+    },
+  });
+  const storage = createSupabaseStorage({ client });
+  const generatedAt = "2025-09-22T07:00:00.000Z";
+  const generated = ["09:00:00", "10:00:00", "10:30:00"].map((id) =>
+    task(id, { created_at: generatedAt, updated_at: generatedAt })
+  );
+
+  await saveTasks(storage, generated, "2025-09-22");
+
+  const upserts = client.queries
+    .filter((query) => query.table === "tasks")
+    .flatMap((query) => query.calls.filter((call) => call.method === "upsert"))
+    .map((call) => call.args[0]);
+  const { created_at: _created, ...refreshed } = generated[0];
+  const { created_at: _restoredCreated, ...restored } = generated[1];
+  assert.deepEqual(upserts, [
+    [{ ...generated[2], status: "pending", cancelled_at: null }],
+    [{ ...restored, status: "pending", cancelled_at: null }],
+    [refreshed],
+  ]);
+});
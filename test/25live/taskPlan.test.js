@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  planTaskReconciliation,
+  formatTaskReport,
+} = require("../../25live/taskPlan");
+
+const task = (id, overrides = {}) => ({
+  id,
+  event_id: "e1",
+  task_type: "RECORDING CHECK",
+  date: "2025-09-22",
+  time: id,
+  created_at: "2025-09-22T06:00:00.000Z",
+  updated_at: "2025-09-22T06:00:00.000Z",
+  ...overrides,
+});
+
+test("new tasks are added, dropped pending ones cancelled and cancelled ones restored", () => {
+  const plan = planTaskReconciliation(
+    [
+      task("09:00:00", { status: "pending" }),
+      task("09:30:00", { status: "pending" }),
+      task("10:00:00", { status: "cancelled" }),
+    ],
+    [task("09:00:00"), task("10:00:00"), task("10:30:00")]
+  );
+
+  assert.deepEqual(plan.inserts, [
+    { ...task("10:30:00"), status: "pending", cancelled_at: null },
+  ]);
+  assert.deepEqual(
+    plan.cancellations.map((row) => row.id),
+    ["09:30:00"]
+  );
+
+  const { created_at: _created, ...restored } = task("10:00:00");
+  assert.deepEqual(plan.restores, [
+    { ...restored, status: "pending", cancelled_at: null },
+  ]);
+  // A task that is still generated keeps its stored creation time and status
+  const { created_at: _kept, ...refreshed } = task("09:00:00");
+  assert.deepEqual(plan.refreshes, [refreshed]);
+});
+
+test("done tasks are never touched, generated again or not", () => {
+  const done = [
+    task("09:00:00", { status: "done" }),
+    task("09:30:00", { status: "done" }),
+  ];
+  const plan = planTaskReconciliation(done, [task("09:00:00")]);
+
+  assert.deepEqual(plan.inserts, []);
+  assert.deepEqual(plan.refreshes, []);
+  assert.deepEqual(plan.cancellations, []);
+  assert.deepEqual(plan.done, done);
+  assert.deepEqual(plan.events, []);
+});
+
+test("tasks of held events are not cancelled", () => {
+  const plan = planTaskReconciliation(
+    [
+      task("09:00:00", { status: "pending" }),
+      task("09:00:00-e2", { event_id: "e2", status: "pending" }),
+    ],
+    [],
+    { heldEventIds: new Set(["e1"]) }
+  );
+  assert.deepEqual(
+    plan.cancellations.map((row) => row.id),
+    ["09:00:00-e2"]
+  );
+});
+
+test("the report lists only events where something moved", () => {
+  const plan = planTaskReconciliation(
+    [
+      task("09:00:00", { status: "pending" }),
+      task("08:00:00", { event_id: "e2", status: "pending" }),
+    ],
+    [task("09:30:00"), task("08:00:00", { event_id: "e2" })]
+  );
+  assert.equal(
+    formatTaskReport(plan, "2025-09-22"),
+    [
+      "=== TASK CHANGES for 2025-09-22 ===",
+      "Add: 1, Cancel: 1, Restore: 0, Kept: 1, Done (untouched): 0",
+      "  e1",
+      "      + RECORDING CHECK 09:30:00",
+      "      - RECORDING CHECK 09:00:00",
+      "=== END TASK CHANGES for 2025-09-22 ===",
+    ].join("\n")
+  );
+});
@@ -0,0 +1,151 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  mergeAdjacentRoomEvents,
+  transformRawEventsToEvents,
+} = require("../../25live/transformRawEventsToEvents");
+const fixtures = require("../fixtures/evdetail.json");
+
+const groups = [
+  {
+    code: "GH 1420&30",
+    displayName: "Global Hub 1420 & 1430",
+    rooms: ["GH 1420", "GH 1430"],
+  },
+];
+const event = (id, room_name, end_time, overrides = {}) => ({
+  id,
+  date: "2025-09-22",
+  event_name: "FINC-430-0",
+  start_time: "09:00:00",
+  end_time,
+  room_name,
+  room_capacity: 40,
+  status: "active",
+  resources: [],
+  instructor_names: null,
+  ...overrides,
+});
+const roomsOf = (events) => events.map((row) => row.room_name).sort();
+
+test("partitions ending together are merged into the group's room", (t) => {
+  t.mock.method(console, "log", () => {});
+  const merged = mergeAdjacentRoomEvents(
+    [event("a", "GH 1420", "10:30:00"), event("b", "GH 1430", "10:30:00")],
+    groups
+  );
+  // The merged event is the only row; the partitions live on in its lineage
+  assert.equal(merged.length, 1);
+  const [combined] = merged;
+  assert.equal(combined.id, "a");
+  assert.equal(combined.room_name, "GH 1420&30");
+  assert.equal(combined.room_capacity, 80);
+  assert.equal(combined.room_recording, null);
+  assert.deepEqual(combined.merged_from, ["a", "b"]);
+  assert.deepEqual(
+    combined.merged_sources.map((source) => source.room_name),
+    ["GH 1420", "GH 1430"]
+  );
+});
+
+test("by default the pairs the old start-time merge combined still merge", (t) => {
+  t.mock.method(console, "log", () => {});
+  const warn = t.mock.method(console, "warn", () => {});
+  // The config default applies when no tolerance is passed
+  const mergedRooms = (firstEnd, secondEnd) =>
+    roomsOf(
+      mergeAdjacentRoomEvents(
+        [event("a", "GH 1420", firstEnd), event("b", "GH 1430", secondEnd)],
+        groups
+      )
+    );
+
+  assert.deepEqual(mergedRooms("10:30:00", "10:30:00"), ["GH 1420&30"]);
+  assert.deepEqual(mergedRooms("10:30:00", "10:31:00"), ["GH 1420&30"]);
+  assert.deepEqual(mergedRooms("10:20:00", "10:30:00"), ["GH 1420&30"]);
+  assert.equal(warn.mock.calls.length, 0);
+
+  // Partitions ending well apart are two separate bookings now
+  assert.deepEqual(mergedRooms("10:30:00", "12:00:00"), ["GH 1420", "GH 1430"]);
+  assert.match(warn.mock.calls[0].arguments[0], /more than 10 minutes/);
+});
+
+test("an end tolerance merges partitions up to that far apart, ending at the latest", (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "warn", () => {});
+  const events = [
+    event("a", "GH 1420", "10:30:00"),
+    event("b", "GH 1430", "10:40:00"),
+  ];
+
+  const merged = mergeAdjacentRoomEvents(events, groups, {
+    endToleranceMinutes: 10,
+  });
+  const combined = merged.find((row) => row.room_name === "GH 1420&30");
+  assert.equal(combined.end_time, "10:40:00");
+
+  assert.ok(
+    !mergeAdjacentRoomEvents(events, groups, { endToleranceMinutes: 9 }).some(
+      (row) => row.room_name === "GH 1420&30"
+    )
+  );
+  // A group's own tolerance wins over the option
+  assert.ok(
+    mergeAdjacentRoomEvents(
+      events,
+      [{ ...groups[0], endTimeToleranceMinutes: 10 }],
+      { endToleranceMinutes: 0 }
+    ).some((row) => row.room_name === "GH 1420&30")
+  );
+});
+
+test("a partially booked group is not merged", (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "warn", () => {});
+  const merged = mergeAdjacentRoomEvents(
+    [event("a", "GH 1420", "10:30:00"), event("b", "GH 1110", "10:30:00")],
+    groups
+  );
+  assert.deepEqual(roomsOf(merged), ["GH 1110", "GH 1420"]);
+});
+
+test("the merged room records only if every partition can", (t) => {
+  t.mock.method(console, "log", () => {});
+  const recordingOf = (first, second) =>
+    mergeAdjacentRoomEvents(
+      [
+        event("a", "GH 1420", "10:30:00", { room_recording: first }),
+        event("b", "GH 1430", "10:30:00", { room_recording: second }),
+      ],
+      groups
+    )[0].room_recording;
+
+  assert.equal(recordingOf(true, true), true);
+  assert.equal(recordingOf(true, null), null);
+  assert.equal(recordingOf(true, false), false);
+});
+
+test("items whose ids cannot form an event id are skipped and reported, not fatal", (t) => {
+  t.mock.method(console, "log", () => {});
+  const warn = t.mock.method(console, "warn", () => {});
+  const placeholder = { ...fixtures.class, itemId: "TBD", itemName: "Hold" };
+
+  const events = transformRawEventsToEvents([placeholder, fixtures.class], {
+    stages: ["filter"],
+  });
+
+  assert.deepEqual(
+    events.map((row) => row.id),
+    ["812345-2210987-1420"]
+  );
+  const [message, items] = warn.mock.calls[0].arguments;
+  assert.match(message, /Skipped 1 25Live item/);
+  assert.deepEqual(items, [
+    {
+      itemId: "TBD",
+      itemId2: 2210987,
+      subject_itemId: 1420,
+      itemName: "Hold",
+    },
+  ]);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCourseCode, getCourseInfo } = require('../../../25live/utils/courseCodes');
+const fixtures = require('../../fixtures/evdetail.json');
+
+test('parseCourseCode reads the common spellings of a course code', () => {
+  assert.deepEqual(parseCourseCode('MGMT-431-0-61 Leadership in Organizations'), {
+    subject: 'MGMT', catalogNumber: '431', section: '61', program: null,
+  });
+  assert.deepEqual(parseCourseCode('KELLG_FE 310-0 Section 21'), {
+    subject: 'KELLG_FE', catalogNumber: '310', section: '21', program: null,
+  });
+  assert.deepEqual(parseCourseCode('FINC 430 (5)'), {
+    subject: 'FINC', catalogNumber: '430', section: '05', program: null,
+  });
+  assert.deepEqual(parseCourseCode('FINC 430'), {
+    subject: 'FINC', catalogNumber: '430', section: null, program: null,
+  });
+});
+
+test('the program comes only from an explicit marker, never the section number', () => {
+  assert.equal(parseCourseCode('MGMT-431-0-91').program, null);
+  assert.equal(parseCourseCode('MGMT-431-0-61 E&W').program, 'EW');
+  assert.equal(parseCourseCode('MGMT-431-0-01 Evening and Weekend').program, 'EW');
+  assert.equal(parseCourseCode('MGMT-431-0-61 EMBA').program, 'EMBA');
+  assert.equal(parseCourseCode('MGMT-431-0-91 Full-Time').program, 'FT');
+});
+
+test('names without an upper-case subject and number are not course codes', () => {
+  assert.equal(parseCourseCode('Room 110 hold'), null);
+  assert.equal(parseCourseCode('Faculty Meeting'), null);
+  assert.equal(parseCourseCode(null), null);
+});
+
+test('getCourseInfo falls back to the lecture title and marks EMBA KEC events', () => {
+  const kec = {
+    itemName: 'Leadership Module',
+    itemDetails: {
+      defn: {
+        panel: [{
+          typeId: 11,
+          item: [
+            {}, { itemName: 'STRT-451-0-01 Strategy' }, { itemName: 'Executive Education' }, {}, {}, {},
+            { item: [{ itemName: 'Kellogg Executive MBA Program' }] },
+          ],
+        }],
+      },
+    },
+  };
+  assert.deepEqual(getCourseInfo(kec), {
+    course_kind: 'course',
+    course_subject: 'STRT',
+    course_catalog_number: '451',
+    course_section: '01',
+    course_program: 'EMBA',
+  });
+  assert.equal(getCourseInfo({ itemName: 'Faculty Meeting', itemDetails: null }).course_kind, 'non_course');
+});
+
+test('only Class and KEC events are read as courses', () => {
+  const summit = structuredClone(fixtures.class);
+  summit.itemName = 'CFO 360 Summit';
+  summit.itemDetails.defn.panel[0].item[1].itemName = 'CFO 360 Summit';
+  summit.itemDetails.defn.panel[0].item[2].itemName = 'Special Event';
+  assert.equal(parseCourseCode(summit.itemName).subject, 'CFO');
+  assert.equal(getCourseInfo(summit).course_kind, 'non_course');
+
+  const course = getCourseInfo(structuredClone(fixtures.class));
+  assert.equal(course.course_kind, 'course');
+  assert.equal(course.course_subject, 'FINC');
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dayjs = require('dayjs');
+const { parseScrapeDates, expandDateRange, isDateToken } = require('../../../25live/utils/dateRange');
+
+const today = dayjs('2025-09-22');
+
+test('no date arguments scrape today', () => {
+  assert.deepEqual(parseScrapeDates([], today), ['2025-09-22']);
+  assert.deepEqual(parseScrapeDates(['--dry-run'], today), ['2025-09-22']);
+});
+
+test('offsets and dates can be listed and come back unique and sorted', () => {
+  assert.deepEqual(parseScrapeDates(['1', '-1', '2025-09-22', '0'], today), [
+    '2025-09-21', '2025-09-22', '2025-09-23',
+  ]);
+});
+
+test('--from/--to take offsets or dates, with or without "="', () => {
+  assert.deepEqual(parseScrapeDates(['--from', '-1', '--to', '1'], today), [
+    '2025-09-21', '2025-09-22', '2025-09-23',
+  ]);
+  assert.deepEqual(parseScrapeDates(['--from=2025-09-30', '--to=2025-10-01'], today), [
+    '2025-09-30', '2025-10-01',
+  ]);
+});
+
+test('a range with one end covers that single date', () => {
+  assert.deepEqual(parseScrapeDates(['--from', '2'], today), ['2025-09-24']);
+  assert.deepEqual(parseScrapeDates(['--to', '-2'], today), ['2025-09-20']);
+});
+
+test('bad dates, reversed ranges and missing values are rejected', () => {
+  assert.throws(() => parseScrapeDates(['2025-02-30'], today), /Invalid date/);
+  assert.throws(() => parseScrapeDates(['tomorrow'], today), /day offset/);
+  assert.throws(() => parseScrapeDates(['--from', '3', '--to', '1'], today), /before --from/);
+  assert.throws(() => parseScrapeDates(['--from'], today), /requires a value/);
+});
+
+test('expandDateRange crosses month ends inclusively', () => {
+  assert.deepEqual(expandDateRange('2025-02-27', '2025-03-01'), [
+    '2025-02-27', '2025-02-28', '2025-03-01',
+  ]);
+});
+
+test('isDateToken accepts ISO dates and offsets only', () => {
+  assert.equal(isDateToken('2025-09-22'), true);
+  assert.equal(isDateToken('-80'), true);
+  assert.equal(isDateToken('+3'), true);
+  assert.equal(isDateToken('out.json'), false);
+  assert.equal(isDateToken('-'), false);
+});
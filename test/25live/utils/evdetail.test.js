@@ -0,0 +1,207 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const fixtures = require('../../fixtures/evdetail.json');
+const { parseEventDetails, buildDetailValidationReport } = require('../../../25live/utils/evdetail');
+const {
+  getEventType,
+  getOrganization,
+  getLectureTitle,
+  getInstructorNames,
+  getKecSessionType,
+  parseEventResources,
+  getHeadcounts,
+  getEventState,
+  getReservationTimes,
+  buildReservationReport,
+} = require('../../../25live/utils');
+
+// Each test gets its own copy: parsed details are cached per payload object
+const fixture = (name) => structuredClone(fixtures[name]);
+
+test('fields are read from their positions in the class payload', () => {
+  const event = fixture('class');
+  assert.equal(getEventType(event), 'Class');
+  assert.equal(getOrganization(event), 'Kellogg School of Management');
+  assert.equal(getLectureTitle(event), 'Finance I');
+  assert.deepEqual(getInstructorNames(event), ['Jane Q. Doe', 'John Roe']);
+  assert.deepEqual(parseEventResources(event), [
+    { itemName: 'KSM-KGH-VIDEO-RECORDING', quantity: 1, instruction: 'Record to the FINC-430 folder' },
+    { itemName: 'WIRELESS MICROPHONE', quantity: 2, instruction: undefined },
+  ]);
+});
+
+test('KEC payloads give the event type, session type and nested instructors', () => {
+  const event = fixture('kec');
+  assert.equal(getEventType(event), 'KEC');
+  assert.equal(getKecSessionType(event), 'academic session');
+  assert.deepEqual(getInstructorNames(event), ['Ann Smith']);
+});
+
+test('the CMC organization in the secondary position makes a CMC event', () => {
+  const event = fixture('class');
+  event.itemDetails.defn.panel[0].item[8].item[0].itemName = 'RES CMC, KSM';
+  assert.equal(getEventType(event), 'CMC');
+});
+
+const reportedCodes = (events) => buildDetailValidationReport(events).issues.map(({ code }) => code);
+
+test('unlabelled items are read from their fallback position, and that is reported', () => {
+  const events = [fixture('class'), fixture('kec')];
+  events.forEach(event => {
+    getEventType(event);
+    getLectureTitle(event);
+    getInstructorNames(event);
+    getHeadcounts(event);
+    getEventState(event);
+  });
+  getKecSessionType(events[1]);
+
+  assert.deepEqual(reportedCodes(events), [
+    'positional_organization',
+    'positional_secondaryOrganization',
+    'positional_eventType',
+    'positional_lectureTitle',
+    'positional_instructorsNested',
+    'positional_kecSessionType',
+  ]);
+});
+
+test('labelled items are found by label wherever the panel puts them', () => {
+  const event = fixture('class');
+  const [main] = event.itemDetails.defn.panel;
+  main.item[1].itemLabel = 'Title';
+  main.item[2].itemLabel = 'Event Type:';
+  main.item[6].itemLabel = 'Organization';
+  main.item[8].itemLabel = 'Additional Organizations';
+  // 25Live moves the type to the front
+  main.item.unshift(main.item.splice(2, 1)[0]);
+
+  assert.equal(getEventType(event), 'Class');
+  assert.equal(getLectureTitle(event), 'Finance I');
+  assert.equal(getOrganization(event), 'Kellogg School of Management');
+  // The "Instructors:" prefix is a label too
+  assert.deepEqual(getInstructorNames(event), ['Jane Q. Doe', 'John Roe']);
+  assert.deepEqual(reportedCodes([event]), []);
+});
+
+test('another field labelled at the fallback position is a mismatch, not a value', () => {
+  const event = fixture('class');
+  const [main] = event.itemDetails.defn.panel;
+  // A reordered panel without the type: position 2 now holds the title
+  main.item[1] = { itemName: '2025-2026 Fall' };
+  main.item[2] = { itemName: 'Finance I', itemLabel: 'Title' };
+
+  assert.equal(getEventType(event), null);
+  const report = buildDetailValidationReport([event]);
+  const mismatch = report.issues.find(({ code }) => code === 'label_mismatch_eventType');
+  assert.equal(mismatch.count, 1);
+  assert.match(mismatch.message, /position 2 of panel 11 is labelled "title", expected "event type" or "type"/);
+});
+
+test('a title that merely contains a colon is not taken for a label', () => {
+  const event = fixture('kec');
+  assert.equal(getLectureTitle(event), 'Module 2: Team Dynamics');
+  assert.ok(!reportedCodes([event]).some(code => code.startsWith('label_mismatch')));
+});
+
+test('payloads missing details or the main panel are reported', () => {
+  const withoutMainPanel = fixture('class');
+  withoutMainPanel.itemDetails.defn.panel.shift();
+
+  assert.equal(getEventType(withoutMainPanel), null);
+  assert.deepEqual(parseEventDetails(withoutMainPanel.itemDetails).issues, [
+    { code: 'missing_panel_type', message: 'no panel of type 11' },
+  ]);
+  assert.deepEqual(
+    buildDetailValidationReport([withoutMainPanel, { itemId: 1, itemDetails: null }]).issues.map(
+      ({ code, count }) => [code, count]
+    ),
+    [['missing_panel_type', 1], ['missing_details', 1]]
+  );
+});
+
+test('head counts, state and reservation padding come from their pinned keys', () => {
+  assert.deepEqual(getHeadcounts(fixture('class')), { expected: 58, registered: 61 });
+  assert.equal(getEventState(fixture('class')), 'confirmed');
+  assert.deepEqual(getReservationTimes(fixture('class')), {
+    reservationId: '4410021',
+    setupStartTime: '08:30:00',
+    teardownEndTime: '10:45:00',
+  });
+
+  // Nothing recorded means null, not a guess from another field
+  const kec = fixture('kec');
+  assert.deepEqual(getHeadcounts(kec), { expected: null, registered: null });
+  assert.equal(getEventState(kec), 'tentative');
+  assert.deepEqual(getReservationTimes(kec), {
+    reservationId: '4410388',
+    setupStartTime: null,
+    teardownEndTime: null,
+  });
+  assert.ok(!reportedCodes([kec]).some(code => code.startsWith('missing_key')));
+  assert.deepEqual(buildReservationReport([kec]), []);
+});
+
+test('pinned keys missing from the payload are reported instead of read as null', () => {
+  const event = fixture('class');
+  delete event.itemDetails.expectedCount;
+  delete event.itemDetails.state;
+  const [reservation] = event.itemDetails.occur.prof[0].rsv;
+  delete reservation.rsrvId;
+  delete reservation.rsrvEndDt;
+
+  assert.deepEqual(getHeadcounts(event), { expected: null, registered: 61 });
+  assert.equal(getEventState(event), null);
+  assert.equal(getReservationTimes(event).reservationId, null);
+
+  assert.deepEqual(
+    buildDetailValidationReport([event]).issues.filter(({ code }) => code.startsWith('missing_key')),
+    [
+      { code: 'missing_key_expectedHeadcount', message: 'itemDetails has no expectedCount for expectedHeadcount', count: 1, eventIds: [812345] },
+      { code: 'missing_key_eventState', message: 'itemDetails has no state for eventState', count: 1, eventIds: [812345] },
+    ]
+  );
+  assert.deepEqual(
+    buildReservationReport([event]).map(({ code, message }) => [code, message]),
+    [['missing_reservation_keys', 'reservation has no rsrvId, rsrvEndDt']]
+  );
+});
+
+// Raw items saved from real scrapes by 25live/recordEvdetailFixtures.js
+const recordedDir = path.join(__dirname, '../../fixtures/recorded');
+const recorded = fs.existsSync(recordedDir)
+  ? fs.readdirSync(recordedDir).filter(file => file.endsWith('.json')).sort()
+  : [];
+
+test(
+  'recorded payloads are read without mismatches or missing keys',
+  { skip: recorded.length === 0 && 'no recorded payloads in test/fixtures/recorded yet' },
+  (t) => {
+    recorded.forEach(file => {
+      const event = JSON.parse(fs.readFileSync(path.join(recordedDir, file), 'utf8'));
+      assert.ok(getEventType(event), `${file}: event type`);
+      getOrganization(event);
+      getLectureTitle(event);
+      getInstructorNames(event);
+      getHeadcounts(event);
+      getEventState(event);
+      getReservationTimes(event);
+      if (getEventType(event) === 'KEC') {
+        getKecSessionType(event);
+      }
+
+      const codes = reportedCodes([event]);
+      assert.deepEqual(
+        codes.filter(code => /^(label_mismatch|missing_|invalid_)/.test(code)),
+        [],
+        file
+      );
+      assert.deepEqual(buildReservationReport([event]).filter(({ code }) => code === 'missing_reservation_keys'), [], file);
+      codes
+        .filter(code => code.startsWith('positional_'))
+        .forEach(code => t.diagnostic(`${file}: ${code}`));
+    });
+  }
+);
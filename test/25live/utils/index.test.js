@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  matchEventReservation,
+  buildReservationReport,
+} = require('../../../25live/utils');
+
+// An availability item for 2025-09-22 09:00-10:30 in space 1420
+const event = (rsv, overrides = {}) => ({
+  itemId: 1,
+  itemId2: 2,
+  subject_itemId: 1420,
+  subject_itemName: 'KGH1420',
+  subject_item_date: '2025-09-22T00:00:00',
+  start: 9,
+  end: 10.5,
+  itemDetails: { occur: { prof: [{ rsv }] } },
+  ...overrides,
+});
+// No setup or teardown padding: the pinned keys are present but null
+const rsv = (id, start, end, overrides = {}) => ({
+  rsrvId: id,
+  rsrvStartDt: null,
+  startDt: `2025-09-22T${start}`,
+  endDt: `2025-09-22T${end}`,
+  rsrvEndDt: null,
+  ...overrides,
+});
+const codesOf = ({ issues }) => issues.map(({ code }) => code);
+
+test('of several reservations on the date, the one starting with the event wins', () => {
+  const result = matchEventReservation(event([
+    rsv('morning-other-room', '09:00', '10:30', { spaceId: 1430 }),
+    rsv('afternoon', '14:00', '15:30'),
+    rsv('morning', '09:00', '10:30', { spaceId: 1420 }),
+    { ...rsv('next-week', '09:00', '10:30'), startDt: '2025-09-29T09:00' },
+  ]));
+  assert.equal(result.reservation.rsrvId, 'morning');
+  assert.deepEqual(result.issues, []);
+});
+
+test('without a start-time match the closest reservation on the date is used and reported', () => {
+  const result = matchEventReservation(event([
+    rsv('early', '08:00', '09:30'),
+    rsv('late', '09:15', '10:30'),
+  ]));
+  assert.equal(result.reservation.rsrvId, 'late');
+  assert.deepEqual(codesOf(result), ['ambiguous_reservation']);
+
+  const single = matchEventReservation(event([rsv('only', '09:30', '10:45')]));
+  assert.equal(single.reservation.rsrvId, 'only');
+  assert.deepEqual(codesOf(single), ['start_time_mismatch', 'end_time_mismatch']);
+});
+
+test('a reservation at the right time in another space is used but reported', () => {
+  const result = matchEventReservation(event([
+    rsv('elsewhere', '09:00', '10:30', { space: [{ itemId: 2410 }] }),
+  ]));
+  assert.equal(result.reservation.rsrvId, 'elsewhere');
+  assert.deepEqual(result.issues, [
+    { code: 'space_mismatch', message: 'reservation at 09:00:00 is not for space 1420' },
+  ]);
+});
+
+test('events without a reservation on their date match nothing', () => {
+  assert.deepEqual(codesOf(matchEventReservation(event([]))), ['no_reservations']);
+
+  const otherDay = matchEventReservation(event([
+    { ...rsv('tuesday', '09:00', '10:30'), startDt: '2025-09-23T09:00' },
+  ]));
+  assert.equal(otherDay.reservation, null);
+  assert.deepEqual(codesOf(otherDay), ['no_reservation_on_date']);
+
+  assert.deepEqual(matchEventReservation(event([], { itemDetails: null })), { reservation: null, issues: [] });
+});
+
+test('the reservation report lists every disagreement with the availability item', () => {
+  const report = buildReservationReport([
+    event([rsv('ok', '09:00', '10:30')]),
+    event([rsv('elsewhere', '09:00', '10:30', { spaceId: 2410 })], { itemId: 7 }),
+  ]);
+  assert.deepEqual(report, [{
+    itemId: 7,
+    itemId2: 2,
+    date: '2025-09-22',
+    start_time: '09:00:00',
+    space: 'KGH1420',
+    code: 'space_mismatch',
+    message: 'reservation at 09:00:00 is not for space 1420',
+  }]);
+});
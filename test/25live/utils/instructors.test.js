@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  normalizeInstructorName,
+  splitInstructorList,
+  createAliasMap,
+  loadInstructorAliases,
+  resolveInstructor,
+} = require('../../../25live/utils/instructors');
+
+const keyOf = (text) => normalizeInstructorName(text)?.key ?? null;
+
+test('spellings of one person share a key', () => {
+  ['Jane Doe', 'Doe, Jane', 'Jane Q. Doe', 'JANE DOE', 'Dr. Jane Doe, PhD', '<b>Jane&nbsp;Doe</b>', 'Jané Doe'].forEach(spelling => {
+    assert.equal(keyOf(spelling), 'jane doe', spelling);
+  });
+  assert.deepEqual(normalizeInstructorName('DOE, JANE Q.'), { displayName: 'Jane Q. Doe', key: 'jane doe' });
+  assert.equal(normalizeInstructorName('Mary McDonald-Smith').displayName, 'Mary McDonald-Smith');
+  assert.equal(keyOf('Van Der Berg, Jan'), 'jan van der berg');
+});
+
+test('a generational suffix stays with the name wherever the commas put it', () => {
+  assert.deepEqual(normalizeInstructorName('Doe, Jr., Jane'), { displayName: 'Jane Doe Jr.', key: 'jane doe jr' });
+  assert.equal(keyOf('Jane Doe, Jr.'), 'jane doe jr');
+  assert.equal(keyOf('Doe, Jane, III'), 'jane doe iii');
+});
+
+test('lists of several people are not one name, and split into one spelling each', () => {
+  assert.equal(normalizeInstructorName('Jane Doe, John Roe'), null);
+  assert.equal(normalizeInstructorName('Doe, Jane, Roe, John'), null);
+
+  assert.deepEqual(splitInstructorList('Jane Doe, John Roe'), ['Jane Doe', 'John Roe']);
+  assert.deepEqual(splitInstructorList('Doe, Jane, Roe, John'), ['Jane Doe', 'John Roe']);
+  assert.deepEqual(splitInstructorList('Jane Doe, Jr., John Roe'), ['Jane Doe Jr.', 'John Roe']);
+  // Full names and "Last, First" pairs mixed in one list
+  assert.deepEqual(splitInstructorList('Smith, John A., Doe, Jane'), ['John A. Smith', 'Jane Doe']);
+  assert.deepEqual(splitInstructorList('Jane Doe, Roe, John'), ['Jane Doe', 'John Roe']);
+  assert.deepEqual(splitInstructorList('Doe, Jr., Jane, John Roe'), ['Jane Doe Jr.', 'John Roe']);
+  // One person keeps the spelling as written
+  assert.deepEqual(splitInstructorList('Doe, Jr., Jane'), ['Doe, Jr., Jane']);
+  // Commas that fit neither reading are left for normalizeInstructorName to reject
+  assert.deepEqual(splitInstructorList('Doe, Jane, Roe'), ['Doe, Jane, Roe']);
+  assert.equal(normalizeInstructorName('Doe, Jane, Roe'), null);
+  assert.deepEqual(splitInstructorList('Smith, John A., Doe'), ['Smith, John A., Doe']);
+});
+
+test('noise and placeholders are not names', () => {
+  ['TBA', 'Staff', '{{instructor}}', '', '  ', null, 'J'].forEach(spelling => {
+    assert.equal(normalizeInstructorName(spelling), null, String(spelling));
+  });
+});
+
+test('aliases resolve other spellings to the canonical instructor', () => {
+  const aliases = createAliasMap({ 'Jane Doe': ['Janie Doe', 'Jane Doe-Smith'] });
+  assert.deepEqual(resolveInstructor('DOE-SMITH, JANE', aliases), {
+    id: 'jane-doe',
+    displayName: 'Jane Doe',
+    spelling: 'DOE-SMITH, JANE',
+  });
+  assert.equal(resolveInstructor('John Roe', aliases).id, 'john-roe');
+  assert.throws(() => createAliasMap({ TBA: ['x'] }), /is not a name/);
+});
+
+test('the alias file is optional, but a configured one must exist', () => {
+  assert.equal(loadInstructorAliases(undefined).size, 0);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'glance-aliases-'));
+  const file = path.join(dir, 'aliases.json');
+  fs.writeFileSync(file, JSON.stringify({ aliases: { 'Jane Doe': ['Janie Doe'] } }));
+  assert.equal(loadInstructorAliases(file).get('janie doe').displayName, 'Jane Doe');
+  assert.throws(() => loadInstructorAliases(path.join(dir, 'missing.json')), /ENOENT/);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
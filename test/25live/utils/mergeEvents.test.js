@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { unionResources, buildMergedEvent, unmergeEvent } = require('../../../25live/utils/mergeEvents');
+const { planEventSync } = require('../../../25live/syncPlan');
+
+const event = (id, overrides = {}) => ({
+  id,
+  date: '2025-09-22',
+  start_time: '09:00:00',
+  end_time: '10:30:00',
+  room_name: 'GH 1420',
+  status: 'active',
+  resources: [],
+  instructor_names: null,
+  raw: { id },
+  ...overrides,
+});
+
+test('unionResources keeps one of each resource with the larger quantity', () => {
+  assert.deepEqual(
+    unionResources([
+      { resources: [{ itemName: 'MIC', quantity: 1 }, { itemName: 'VIDEO' }] },
+      { resources: [{ itemName: 'MIC', quantity: 2 }] },
+    ]),
+    [{ itemName: 'MIC', quantity: 2 }, { itemName: 'VIDEO' }]
+  );
+});
+
+test('a merge of merged events flattens the lineage and can be undone', () => {
+  const first = buildMergedEvent(
+    [event('a', { instructor_names: ['Jane Doe'] }), event('b', { room_name: 'GH 1430', instructor_names: ['John Roe'] })],
+    { room_name: 'GH 1420&30' }
+  );
+  const second = buildMergedEvent([first, event('c', { end_time: '12:00:00' })], { end_time: '12:00:00' });
+
+  assert.equal(second.id, 'a');
+  assert.deepEqual(second.merged_from, ['a', 'b', 'c']);
+  assert.deepEqual(second.instructor_names, ['Jane Doe', 'John Roe']);
+  assert.ok(second.merged_sources.every(source => !('raw' in source)));
+  assert.deepEqual(unmergeEvent(second).map(source => source.room_name), ['GH 1420', 'GH 1430', 'GH 1420']);
+  assert.deepEqual(unmergeEvent(event('d')), [event('d')]);
+});
+
+test('a stored row of an absorbed source is cancelled by the next sync', () => {
+  const merged = buildMergedEvent([event('a'), event('b', { room_name: 'GH 1430' })], { room_name: 'GH 1420&30' });
+  const plan = planEventSync(
+    [event('a'), event('b', { room_name: 'GH 1430' }), event('old', { status: 'merged' })],
+    [merged]
+  );
+  assert.deepEqual(plan.cancellations.map(row => row.id), ['b', 'old']);
+  assert.deepEqual(plan.updates.map(update => update.id), ['a']);
+});
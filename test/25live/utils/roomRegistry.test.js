@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseSpaceCapacity,
+  createRoomRegistry,
+  loadRoomRegistry,
+  lookupRoom,
+  collectSpaces,
+} = require('../../../25live/utils/roomRegistry');
+
+const registry = createRoomRegistry([
+  { code: 'GH 1110', displayName: 'Global Hub 1110', building: 'Global Hub', floor: '1', capacity: null, spaceNames: ['KGH1110'] },
+  { code: 'AH 101', displayName: 'Andersen Hall 101', building: 'Andersen Hall', floor: '1', capacity: 60, recording: true, spaceIds: [5100], spaceNames: [] },
+]);
+
+test('spaces are found by name, ignoring spacing, case and the capacity suffix', () => {
+  assert.equal(parseSpaceCapacity('KGH1110 (70)'), 70);
+  assert.deepEqual(lookupRoom(undefined, 'kgh 1110 (70)', registry), {
+    known: true,
+    code: 'GH 1110',
+    displayName: 'Global Hub 1110',
+    building: 'Global Hub',
+    floor: '1',
+    capacity: 70,
+    recording: null,
+  });
+});
+
+test('a space id wins over the name, so renamed spaces outside Global Hub still resolve', () => {
+  assert.deepEqual(lookupRoom('5100', 'Andersen 101 (renamed)', registry), {
+    known: true,
+    code: 'AH 101',
+    displayName: 'Andersen Hall 101',
+    building: 'Andersen Hall',
+    floor: '1',
+    capacity: 60,
+    recording: true,
+  });
+});
+
+test('unknown spaces fall back to parseRoomName and are flagged', () => {
+  const room = lookupRoom(9999, 'KGH2130 (40)', registry);
+  assert.equal(room.known, false);
+  assert.equal(room.code, 'GH 2130');
+  assert.equal(room.capacity, 40);
+});
+
+test('the shipped registry resolves every room by its own code', () => {
+  const shipped = loadRoomRegistry();
+  shipped.rooms.forEach(room => {
+    assert.equal(lookupRoom(undefined, room.code, shipped).code, room.code);
+  });
+  shipped.groups.forEach(group => {
+    group.rooms.forEach(code => assert.ok(shipped.byName.has(code.replace(/\s+/g, '')), code));
+  });
+});
+
+test('collectSpaces attaches seen space ids and adds unlisted spaces', () => {
+  const stored = (subject_itemId, subject_itemName, recorded = false) => ({
+    raw: { subject_itemId, subject_itemName },
+    recorded,
+  });
+  const rooms = [
+    { code: 'GH 1110', displayName: 'Global Hub 1110', building: 'Global Hub', floor: '1', capacity: null, recording: null, spaceNames: ['KGH1110'] },
+  ];
+
+  const { rooms: collected, added, updated } = collectSpaces(
+    rooms,
+    [
+      stored(1110, 'KGH1110 (70)', true),
+      stored(1110, 'KGH1110 (70)'),
+      stored(7001, 'KWH 2210 (24)'),
+      { raw: {} },
+    ],
+    event => event.recorded
+  );
+
+  assert.deepEqual(collected[0], {
+    code: 'GH 1110', displayName: 'Global Hub 1110', building: 'Global Hub', floor: '1',
+    capacity: 70, recording: true, spaceNames: ['KGH1110'], spaceIds: [1110],
+  });
+  assert.deepEqual(updated, [collected[0]]);
+  assert.deepEqual(added, [{
+    code: 'KWH 2210', displayName: 'KWH 2210', building: null, floor: null,
+    capacity: 24, recording: null, spaceIds: [7001], spaceNames: ['KWH 2210'],
+  }]);
+  // The input is left alone, and a second pass finds nothing new
+  assert.equal(rooms[0].capacity, null);
+  const again = collectSpaces(collected, [stored(1110, 'KGH1110 (70)'), stored(7001, 'KWH 2210 (24)')], () => false);
+  assert.deepEqual([again.added, again.updated], [[], []]);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dayjs = require('dayjs');
+const { parseRunOptions } = require('../../../25live/utils/runOptions');
+
+const today = dayjs('2025-09-22');
+
+test('--json takes its path after "=" or as the next argument', () => {
+  assert.equal(parseRunOptions(['--json=out.json'], today).jsonOutput, 'out.json');
+
+  const spaced = parseRunOptions(['--json', 'out.json', '1'], today);
+  assert.equal(spaced.jsonOutput, 'out.json');
+  assert.deepEqual(spaced.dates, ['2025-09-23']);
+});
+
+test('a bare --json or "-" writes to stdout and leaves dates to the scrape', () => {
+  assert.equal(parseRunOptions(['--json'], today).jsonOutput, '-');
+  assert.equal(parseRunOptions(['--json', '-'], today).jsonOutput, '-');
+
+  const beforeOffset = parseRunOptions(['--json', '-1'], today);
+  assert.equal(beforeOffset.jsonOutput, '-');
+  assert.deepEqual(beforeOffset.dates, ['2025-09-21']);
+
+  const beforeFlag = parseRunOptions(['--json', '--from', '0', '--to', '1'], today);
+  assert.equal(beforeFlag.jsonOutput, '-');
+  assert.deepEqual(beforeFlag.dates, ['2025-09-22', '2025-09-23']);
+});
+
+test('the other flags are read and kept out of the dates', () => {
+  const options = parseRunOptions(['--dry-run', '--force', '--stages=combineKec', '0'], today);
+  assert.equal(options.dryRun, true);
+  assert.equal(options.force, true);
+  assert.equal(options.stages, 'combineKec');
+  assert.equal(options.jsonOutput, null);
+  assert.deepEqual(options.dates, ['2025-09-22']);
+});
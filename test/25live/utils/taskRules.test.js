@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const {
+  compileTaskRule,
+  loadTaskRules,
+  findLastEventsOfDay,
+  matchTaskRule,
+  taskTimesForRule,
+  generateTasks,
+  generateTaskId,
+} = require('../../../25live/utils/taskRules');
+
+const event = (overrides = {}) => ({
+  id: '1-2-3',
+  date: '2025-09-22',
+  start_time: '09:00:00',
+  end_time: '10:30:00',
+  room_name: 'GH 1420',
+  event_type: 'Class',
+  resources: [],
+  ...overrides,
+});
+
+const timesOf = tasks => tasks.map(task => task.time);
+
+test('compileTaskRule rejects rules it cannot run', () => {
+  assert.throws(() => compileTaskRule({ name: 'x' }), /name and a taskType/);
+  assert.throws(() => compileTaskRule({ name: 'x', taskType: 'X', emit: {} }), /needs "at" and\/or "every"/);
+  assert.throws(
+    () => compileTaskRule({ name: 'x', taskType: 'X', emit: { at: [{ anchor: 'middle' }] } }),
+    /anchor must be one of start, end/
+  );
+  assert.throws(
+    () => compileTaskRule({ name: 'x', taskType: 'X', match: { resource: '(' }, emit: { at: [{}] } }),
+    /invalid match.resource pattern/
+  );
+  assert.throws(
+    () => compileTaskRule({ name: 'x', taskType: 'X', match: { startsAfter: '9am' }, emit: { at: [{}] } }),
+    /startsAfter must be HH:MM/
+  );
+});
+
+test('"every" emits one task per full interval, and atLeastOne covers short events', () => {
+  const rule = compileTaskRule({
+    name: 'check',
+    taskType: 'CHECK',
+    emit: { every: { minutes: 30, atLeastOne: true } },
+  });
+  assert.deepEqual(taskTimesForRule(rule.emit, event()), [32400, 34200, 36000]);
+  assert.deepEqual(taskTimesForRule(rule.emit, event({ end_time: '09:20:00' })), [32400]);
+  assert.deepEqual(taskTimesForRule(rule.emit, event({ end_time: '08:00:00' })), []);
+});
+
+test('times outside the day are dropped and duplicates are emitted once', () => {
+  const rule = compileTaskRule({
+    name: 'check',
+    taskType: 'CHECK',
+    emit: { at: [{ anchor: 'start', offsetMinutes: -30 }, { anchor: 'start', offsetMinutes: -30 }, { anchor: 'end', offsetMinutes: 60 }] },
+  });
+  assert.deepEqual(
+    taskTimesForRule(rule.emit, event({ start_time: '00:10:00', end_time: '23:30:00' })),
+    []
+  );
+  assert.deepEqual(taskTimesForRule(rule.emit, event()), [30600, 41400]);
+});
+
+test('matchTaskRule checks every condition and applies the first matching override', () => {
+  const rule = compileTaskRule({
+    name: 'rec',
+    taskType: 'RECORDING CHECK',
+    match: { resource: '^KSM-KGH-VIDEO', startsAfter: '08:00', startsBefore: '18:00' },
+    emit: { at: [{ anchor: 'start', offsetMinutes: -5 }], every: { minutes: 30 } },
+    overrides: [{ match: { roomName: '^GH L' }, emit: { every: { minutes: 15 } } }],
+  });
+  const recorded = event({ resources: [{ itemName: 'KSM-KGH-VIDEO-RECORDING' }] });
+
+  assert.equal(matchTaskRule(rule, event()), null);
+  assert.equal(matchTaskRule(rule, { ...recorded, start_time: '18:00:00' }), null);
+
+  const plain = matchTaskRule(rule, recorded);
+  assert.equal(plain.resource.itemName, 'KSM-KGH-VIDEO-RECORDING');
+  assert.equal(plain.emit.every.intervalSeconds, 1800);
+
+  const overridden = matchTaskRule(rule, { ...recorded, room_name: 'GH L110' });
+  assert.equal(overridden.emit.every.intervalSeconds, 900);
+  // An override that only changes the cadence keeps the rest of emit
+  assert.deepEqual(overridden.emit.at, plain.emit.at);
+});
+
+test('findLastEventsOfDay picks the last event to end in each room', () => {
+  const last = findLastEventsOfDay([
+    event({ id: 'a', end_time: '10:00:00' }),
+    event({ id: 'b', end_time: '12:00:00' }),
+    event({ id: 'c', start_time: '11:00:00', end_time: '12:00:00' }),
+    event({ id: 'd', room_name: 'GH 1430', end_time: '09:30:00' }),
+    event({ id: 'e', room_name: null }),
+  ]);
+  assert.deepEqual([...last].sort(), ['c', 'd']);
+});
+
+test('generateTasks runs the shipped rules file with deterministic ids', () => {
+  const rules = loadTaskRules(path.join(__dirname, '../../../25live/definitions/taskRules.json'));
+  const tasks = generateTasks(
+    [
+      event({ resources: [{ itemName: 'KSM-KGH-VIDEO-RECORDING-1420' }, { itemName: 'WIRELESS MICROPHONE' }] }),
+      event({ id: '4-5-6', event_type: 'KEC', start_time: '13:00:00', end_time: '14:00:00' }),
+    ],
+    rules
+  );
+
+  const byType = type => timesOf(tasks.filter(task => task.task_type === type));
+  assert.deepEqual(byType('RECORDING CHECK'), ['08:55:00', '09:00:00', '09:30:00', '10:00:00', '10:35:00']);
+  assert.deepEqual(byType('SETUP'), ['08:30:00']);
+  assert.deepEqual(byType('TEARDOWN'), ['14:00:00']);
+  assert.deepEqual(byType('ROOM RESET'), ['14:15:00']);
+  assert.equal(tasks[0].id, generateTaskId('1-2-3', 'RECORDING CHECK', '2025-09-22', '08:55:00'));
+  assert.equal(tasks[0].id, '1-2-3:recording-check:2025-09-22T08:55:00');
+
+  const again = generateTasks([event({ resources: [{ itemName: 'KSM-KGH-VIDEO-RECORDING-1420' }] })], rules);
+  assert.deepEqual(timesOf(again).slice(0, 5), byType('RECORDING CHECK'));
+});
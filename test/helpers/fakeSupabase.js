@@ -0,0 +1,54 @@
+// A stand-in for the Supabase client that records every query instead of
+// sending it. Each call to from() starts a query; awaiting it resolves with
+// the rows passed to upsert/insert, or for a plain select the rows of
+// `tables[table]` matching its eq/in filters.
+function createFakeSupabaseClient({ tables = {} } = {}) {
+  const queries = [];
+
+  const selectRows = (query) =>
+    (tables[query.table] || []).filter(row =>
+      query.calls.every(({ method, args: [column, value] }) => {
+        if (method === 'eq') {
+          return row[column] === value;
+        }
+        if (method === 'in') {
+          return value.includes(row[column]);
+        }
+        return true;
+      })
+    );
+
+  const from = (table) => {
+    const query = { table, calls: [] };
+    queries.push(query);
+
+    const builder = {
+      then(resolve, reject) {
+        const write = query.calls.find(({ method }) =>
+          ['upsert', 'insert', 'update', 'delete'].includes(method)
+        );
+        const data = !write
+          ? selectRows(query)
+          : ['upsert', 'insert'].includes(write.method)
+            ? write.args[0]
+            : [];
+        return Promise.resolve({ data, error: null }).then(resolve, reject);
+      },
+    };
+    ['select', 'upsert', 'insert', 'update', 'delete', 'eq', 'in', 'is', 'not', 'range'].forEach(
+      (method) => {
+        builder[method] = (...args) => {
+          query.calls.push({ method, args });
+          return builder;
+        };
+      }
+    );
+    return builder;
+  };
+
+  return { from, queries };
+}
+
+module.exports = {
+  createFakeSupabaseClient,
+};
@@ -0,0 +1,106 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createHttpPanoptoClient } = require("../../panopto/client");
+
+const credentials = {
+  server: "https://panopto.test",
+  clientId: "id",
+  clientSecret: "secret",
+  username: "user",
+  password: "password",
+};
+
+test("a folder is listed once and later lookups filter that listing", async (t) => {
+  const requested = [];
+  const pages = [
+    [
+      {
+        Id: "a",
+        Name: "KGH1420",
+        Folder: "f",
+        StartTime: "2025-09-22T14:00:00Z",
+        Duration: 5400,
+      },
+      {
+        Id: "b",
+        Name: "KGH1430",
+        Folder: "f",
+        StartTime: "2025-09-23T14:00:00Z",
+        Duration: null,
+      },
+    ],
+    [],
+  ];
+  t.mock.method(globalThis, "fetch", async (url) => {
+    requested.push(String(url));
+    const body = String(url).includes("/oauth2/")
+      ? { access_token: "token", expires_in: 3600 }
+      : {
+          Results: pages[new URL(url).searchParams.get("pageNumber")] || [],
+        };
+    return { ok: true, json: async () => body };
+  });
+
+  const client = createHttpPanoptoClient(credentials);
+  const monday = await client.findSessions({
+    folderId: "f",
+    from: new Date("2025-09-22T00:00:00Z"),
+    to: new Date("2025-09-22T23:59:59Z"),
+  });
+  const tuesday = await client.findSessions({
+    folderId: "f",
+    from: new Date("2025-09-23T00:00:00Z"),
+    to: new Date("2025-09-23T23:59:59Z"),
+  });
+
+  assert.equal(monday.complete, true);
+  assert.deepEqual(monday.sessions, [
+    {
+      id: "a",
+      name: "KGH1420",
+      folderId: "f",
+      startTime: "2025-09-22T14:00:00Z",
+      durationSeconds: 5400,
+    },
+  ]);
+  assert.deepEqual(
+    tuesday.sessions.map((session) => [session.id, session.durationSeconds]),
+    [["b", null]]
+  );
+  assert.equal(
+    requested.filter((url) => url.includes("/folders/f/sessions")).length,
+    2
+  );
+});
+
+test("a listing cut off at the page limit is reported as incomplete", async (t) => {
+  const warnings = [];
+  t.mock.method(console, "warn", (message) => warnings.push(message));
+  t.mock.method(globalThis, "fetch", async (url) => {
+    const body = String(url).includes("/oauth2/")
+      ? { access_token: "token", expires_in: 3600 }
+      : {
+          Results: [
+            {
+              Id: `p${new URL(url).searchParams.get("pageNumber")}`,
+              Name: "KGH1420",
+              StartTime: "2025-09-22T14:00:00Z",
+              Duration: 5400,
+            },
+          ],
+        };
+    return { ok: true, json: async () => body };
+  });
+
+  const client = createHttpPanoptoClient(credentials);
+  const lookup = await client.findSessions({
+    folderId: "f",
+    from: new Date("2025-09-22T00:00:00Z"),
+    to: new Date("2025-09-22T23:59:59Z"),
+  });
+
+  assert.equal(lookup.complete, false);
+  assert.equal(lookup.sessions.length, 20);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /stopped after 20 pages/);
+});
@@ -0,0 +1,263 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createJsonStorage } = require("../../storage/jsonStorage");
+const {
+  RECORDING_STATUSES,
+  matchSession,
+  classifyRecording,
+  verifyRecordings,
+} = require("../../panopto/verifyRecordings");
+
+// 09:00-10:30 in Chicago is 14:00-15:30 UTC in September
+const event = (id, overrides = {}) => ({
+  id,
+  date: "2025-09-22",
+  start_time: "09:00:00",
+  end_time: "10:30:00",
+  room_name: "GH 1420",
+  event_name: "FINC-430-0",
+  status: "active",
+  resources: [{ itemName: "KSM-KGH-VIDEO-RECORDING" }],
+  ...overrides,
+});
+const session = (id, startTime, overrides = {}) => ({
+  id,
+  name: "KGH1420 FINC-430",
+  folderId: "folder",
+  startTime,
+  durationSeconds: 5400,
+  ...overrides,
+});
+const options = { toleranceMinutes: 15, minCoverage: 0.9 };
+
+test("matchSession prefers the room's recorder, then the closest start", () => {
+  const otherRoom = session("other", "2025-09-22T14:00:00Z", {
+    name: "KGH1430 ACCT-451",
+  });
+  const ownRoom = session("own", "2025-09-22T14:05:00Z");
+  assert.equal(
+    matchSession([otherRoom, ownRoom], event("e"), options).id,
+    "own"
+  );
+  assert.equal(
+    matchSession(
+      [ownRoom, session("closer", "2025-09-22T14:01:00Z")],
+      event("e"),
+      options
+    ).id,
+    "closer"
+  );
+});
+
+test("a session named after another room's recorder never matches", () => {
+  assert.equal(
+    matchSession(
+      [
+        session("other", "2025-09-22T14:00:00Z", {
+          name: "KGH1430 ACCT-451",
+        }),
+      ],
+      event("e"),
+      options
+    ),
+    null
+  );
+  // Sessions that name no recorder, or this room's among others, still match
+  assert.equal(
+    matchSession(
+      [session("unnamed", "2025-09-22T14:00:00Z", { name: "FINC-430" })],
+      event("e"),
+      options
+    ).id,
+    "unnamed"
+  );
+  assert.equal(
+    matchSession(
+      [
+        session("shared", "2025-09-22T14:00:00Z", {
+          name: "KGH1420 / KGH1430 joint",
+        }),
+      ],
+      event("e"),
+      options
+    ).id,
+    "shared"
+  );
+});
+
+test("a session starting after the tolerance does not match", () => {
+  assert.equal(
+    matchSession(
+      [session("late", "2025-09-22T14:20:00Z")],
+      event("e"),
+      options
+    ),
+    null
+  );
+});
+
+test("classifyRecording follows the event from scheduled to its outcome", () => {
+  const at = (time) => ({ ...options, now: new Date(`2025-09-22T${time}Z`) });
+  const pending = session("s", "2025-09-22T14:00:00Z", {
+    durationSeconds: null,
+  });
+
+  assert.equal(
+    classifyRecording(event("e"), null, at("16:00:00")),
+    RECORDING_STATUSES.MISSING
+  );
+  assert.equal(
+    classifyRecording(event("e"), pending, at("13:50:00")),
+    RECORDING_STATUSES.SCHEDULED
+  );
+  // No duration yet: still live, or still processing within the grace period
+  assert.equal(
+    classifyRecording(event("e"), pending, at("15:40:00")),
+    RECORDING_STATUSES.RECORDING
+  );
+  assert.equal(
+    classifyRecording(event("e"), pending, at("15:50:00")),
+    RECORDING_STATUSES.MISSING
+  );
+
+  const finished = (durationSeconds) =>
+    session("s", "2025-09-22T14:00:00Z", { durationSeconds });
+  assert.equal(
+    classifyRecording(event("e"), finished(4860), at("16:00:00")),
+    RECORDING_STATUSES.RECORDING
+  );
+  assert.equal(
+    classifyRecording(event("e"), finished(4000), at("16:00:00")),
+    RECORDING_STATUSES.TOO_SHORT
+  );
+});
+
+test("verifyRecordings reads the folder once for the day and stores each outcome", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "warn", () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "glance-panopto-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const storage = createJsonStorage({ dir });
+  await storage.upsert("events", [
+    event("matched"),
+    event("missing", {
+      room_name: "GH 1430",
+      start_time: "11:00:00",
+      end_time: "12:00:00",
+    }),
+    event("late", {
+      room_name: "GH 2110",
+      start_time: "13:00:00",
+      end_time: "14:00:00",
+    }),
+    event("unrecorded", { resources: [] }),
+  ]);
+
+  const calls = [];
+  const client = {
+    name: "fake Panopto",
+    async findSessions(lookup) {
+      calls.push(lookup);
+      return {
+        sessions: [
+          session("s-matched", "2025-09-22T14:02:00Z"),
+          session("s-late", "2025-09-22T18:30:00Z", { name: "KGH2110" }),
+        ],
+        complete: true,
+      };
+    },
+  };
+
+  const results = await verifyRecordings(storage, client, "2025-09-22", {
+    folderId: "folder",
+    now: new Date("2025-09-22T21:00:00Z"),
+  });
+
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].folderId, "folder");
+  assert.deepEqual(
+    [calls[0].from.toISOString(), calls[0].to.toISOString()],
+    ["2025-09-22T13:45:00.000Z", "2025-09-22T19:15:00.000Z"]
+  );
+  assert.deepEqual(results, [
+    { event_id: "matched", status: "recording", session_id: "s-matched" },
+    { event_id: "missing", status: "missing", session_id: null },
+    { event_id: "late", status: "missing", session_id: null },
+  ]);
+
+  const [stored] = await storage.select("events", { id: "matched" });
+  assert.equal(stored.recording_status, "recording");
+  assert.equal(stored.recording_session_id, "s-matched");
+  assert.equal(stored.recording_checked_at, "2025-09-22T21:00:00.000Z");
+});
+
+test("without a folder each recorder is searched once", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "warn", () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "glance-panopto-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const storage = createJsonStorage({ dir });
+  await storage.upsert("events", [
+    event("a"),
+    event("b", { start_time: "11:00:00", end_time: "12:00:00" }),
+    event("c", { room_name: "GH 1430" }),
+  ]);
+
+  const queries = [];
+  const client = {
+    name: "fake Panopto",
+    async findSessions({ query }) {
+      queries.push(query);
+      return { sessions: [], complete: true };
+    },
+  };
+  await verifyRecordings(storage, client, "2025-09-22", {
+    folderId: undefined,
+    now: new Date("2025-09-22T21:00:00Z"),
+  });
+
+  assert.deepEqual(queries, ["KGH1420", "KGH1430"]);
+});
+
+test("events Panopto cannot be asked about, or only in part, are unverifiable", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "warn", () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "glance-panopto-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const storage = createJsonStorage({ dir });
+  await storage.upsert("events", [
+    event("no-room", { room_name: null }),
+    event("cut-off"),
+    event("found", { room_name: "GH 1430" }),
+  ]);
+
+  const client = {
+    name: "fake Panopto",
+    async findSessions({ query }) {
+      if (!query) {
+        throw new Error("findSessions needs a folderId or a query");
+      }
+      return query === "KGH1430"
+        ? {
+            sessions: [
+              session("s-found", "2025-09-22T14:00:00Z", { name: "KGH1430" }),
+            ],
+            complete: false,
+          }
+        : { sessions: [], complete: false };
+    },
+  };
+  const results = await verifyRecordings(storage, client, "2025-09-22", {
+    folderId: undefined,
+    now: new Date("2025-09-22T21:00:00Z"),
+  });
+
+  assert.deepEqual(results, [
+    { event_id: "no-room", status: "unverifiable", session_id: null },
+    { event_id: "cut-off", status: "unverifiable", session_id: null },
+    { event_id: "found", status: "recording", session_id: "s-found" },
+  ]);
+});
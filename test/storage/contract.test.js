@@ -0,0 +1,67 @@
+// The same behaviour checked against every local backend, so they cannot
+// drift apart (the Supabase backend is checked request by request in
+// supabaseStorage.test.js).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonStorage } = require('../../storage/jsonStorage');
+const { createSqliteStorage } = require('../../storage/sqliteStorage');
+
+let hasSqlite = true;
+try {
+  require.resolve('better-sqlite3');
+} catch (error) {
+  hasSqlite = false;
+}
+
+const backends = {
+  json: dir => createJsonStorage({ dir }),
+  sqlite: dir => createSqliteStorage({ file: path.join(dir, 'test.sqlite') }),
+};
+
+Object.entries(backends).forEach(([name, create]) => {
+  test(`${name} storage`, { skip: name === 'sqlite' && !hasSqlite && 'better-sqlite3 is not installed' }, async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), `glance-${name}-`));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const storage = create(dir);
+
+    await t.test('upsert leaves columns missing from a row untouched', async () => {
+      await storage.upsert('tasks', [{ id: 'a', status: 'pending', created_at: 't0', updated_at: 't0' }]);
+      await storage.upsert('tasks', [
+        { id: 'a', updated_at: 't1' },
+        { id: 'b', status: 'pending', created_at: 't1', updated_at: 't1' },
+      ]);
+      const rows = await storage.select('tasks', { id: 'a' });
+      assert.deepEqual(rows, [{ id: 'a', status: 'pending', created_at: 't0', updated_at: 't1' }]);
+    });
+
+    await t.test('filters: scalar, null, list and empty list', async () => {
+      await storage.upsert('tasks', [{ id: 'c', status: null, created_at: 't2' }]);
+      assert.deepEqual((await storage.select('tasks', { status: 'pending' })).map(row => row.id).sort(), ['a', 'b']);
+      assert.deepEqual((await storage.select('tasks', { status: null })).map(row => row.id), ['c']);
+      assert.deepEqual((await storage.select('tasks', { id: ['a', 'c'] })).map(row => row.id).sort(), ['a', 'c']);
+      assert.deepEqual(await storage.select('tasks', { id: [] }), []);
+    });
+
+    await t.test('update patches only the matching rows', async () => {
+      await storage.update('tasks', { id: ['b'] }, { status: 'cancelled' });
+      assert.equal((await storage.select('tasks', { id: 'b' }))[0].status, 'cancelled');
+      assert.equal((await storage.select('tasks', { id: 'a' }))[0].status, 'pending');
+    });
+
+    await t.test('upsert by another key', async () => {
+      await storage.upsert('event_id_map', [{ old_id: '1', new_id: 'x' }], { key: 'old_id' });
+      await storage.upsert('event_id_map', [{ old_id: '1', new_id: 'y' }], { key: 'old_id' });
+      assert.deepEqual(await storage.select('event_id_map'), [{ old_id: '1', new_id: 'y' }]);
+    });
+
+    await t.test('remove needs filters and returns the count; clear empties', async () => {
+      await assert.rejects(storage.remove('tasks', {}), /without filters/);
+      assert.equal(await storage.remove('tasks', { id: ['a', 'b', 'missing'] }), 2);
+      await storage.clear('tasks');
+      assert.deepEqual(await storage.select('tasks'), []);
+    });
+  });
+});
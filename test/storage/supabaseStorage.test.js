@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSupabaseStorage } = require('../../storage/supabaseStorage');
+const { createFakeSupabaseClient } = require('../helpers/fakeSupabase');
+
+const setup = () => {
+  const client = createFakeSupabaseClient();
+  return { client, storage: createSupabaseStorage({ client }) };
+};
+
+const callsOf = (query, method) =>
+  query.calls.filter(call => call.method === method);
+
+test('upsert sends rows with different columns in separate requests', async () => {
+  const { client, storage } = setup();
+  const inserted = { id: 'a', status: 'pending', created_at: 't0', updated_at: 't1' };
+  const refreshed = { id: 'b', updated_at: 't1' };
+
+  await storage.upsert('tasks', [inserted, refreshed, { id: 'c', updated_at: 't1' }]);
+
+  const upserts = client.queries.map(query => callsOf(query, 'upsert')[0]);
+  assert.deepEqual(
+    upserts.map(call => call.args[0]),
+    [[inserted], [refreshed, { id: 'c', updated_at: 't1' }]]
+  );
+  upserts.forEach(call => {
+    assert.deepEqual(call.args[1], {
+      onConflict: 'id',
+      ignoreDuplicates: false,
+      defaultToNull: false,
+    });
+  });
+});
+
+test('upsert passes the key as the conflict target', async () => {
+  const { client, storage } = setup();
+  await storage.upsert('event_id_map', [{ old_id: '1', new_id: 'x' }], { key: 'old_id' });
+  assert.equal(callsOf(client.queries[0], 'upsert')[0].args[1].onConflict, 'old_id');
+});
+
+test('remove and clear use the key column instead of assuming id', async () => {
+  const { client, storage } = setup();
+
+  await storage.remove('event_id_map', { old_id: ['1', '2'] }, { key: 'old_id' });
+  await storage.clear('event_id_map', { key: 'old_id' });
+
+  const [removeQuery, clearQuery] = client.queries;
+  assert.deepEqual(callsOf(removeQuery, 'in')[0].args, ['old_id', ['1', '2']]);
+  assert.deepEqual(callsOf(removeQuery, 'select')[0].args, ['old_id']);
+  assert.deepEqual(callsOf(clearQuery, 'not')[0].args, ['old_id', 'is', null]);
+});
+
+test('remove refuses to run without filters', async () => {
+  const { storage } = setup();
+  await assert.rejects(storage.remove('events', {}), /without filters/);
+});